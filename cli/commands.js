@@ -0,0 +1,297 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { evaluateFeatures, prepareFeatures } from '../src/evaluation.js';
+import { DEFAULT_RULE_SET, validateRuleSet } from '../src/classification.js';
+import { DEFAULT_LIMIT, createSocrataProvider, isFeatureCollection, loadLayers } from '../src/data-providers.js';
+import { pointGeometryDistance } from '../src/geo.js';
+import { EMPTY_OVERRIDES, createHolidayCalendar } from '../src/holidays.js';
+import { nextChange } from '../src/schedule.js';
+import { SF_TIME_ZONE, formatInZone, fromZonedInputValue, toZonedInputValue } from '../src/timezone.js';
+import { DEFAULT_VEHICLE, VEHICLE_PROFILES } from '../src/vehicles.js';
+
+// Offline queries against a saved snapshot, for scripts and batch checks. Everything
+// is evaluated with the same code as the map.
+
+const DEFAULT_DATA = 'sf-parking-snapshot.geojson';
+const DEFAULT_RADIUS_M = 200;
+const DEFAULT_RANGE_MINUTES = 60;
+const REGULATION_WIDTH = 40; // table column, in characters
+
+export const USAGE = `Usage:
+  sf-parking query near <lat>,<lng> [--radius M] [--from TIME] [--to TIME] [--all]
+      Segments within M meters (default ${DEFAULT_RADIUS_M}) where parking is legal for the
+      whole range (default: the next hour). --all also lists partial and no-parking ones.
+  sf-parking query status <segment-id> [--at TIME]
+      Status of one segment at TIME (default: now): category, active rules, longest stay
+      and the next change.
+  sf-parking snapshot [--out FILE] [--bbox south,west,north,east] [--limit N] [--token TOKEN]
+      Saves regulations, street cleaning and meters from SF Open Data to FILE
+      (default ${DEFAULT_DATA}).
+
+Query options:
+  --data FILE       Snapshot to read (default ${DEFAULT_DATA}); any GeoJSON regulations file works
+  --tz ZONE         Zone of the times given and printed (default ${SF_TIME_ZONE})
+  --permit AREA     RPP area you hold a permit for; repeatable
+  --vehicle ID      ${VEHICLE_PROFILES.map(p => p.id).join(', ')} (default ${DEFAULT_VEHICLE})
+  --rules FILE      Classification rule set exported from the map
+  --json            Print JSON instead of a table
+
+TIME is "YYYY-MM-DDTHH:MM" in --tz, or an ISO time with an offset such as 2025-03-01T09:00Z.`;
+
+const OPTIONS = {
+    data: { type: 'string', default: DEFAULT_DATA },
+    tz: { type: 'string', default: SF_TIME_ZONE },
+    permit: { type: 'string', multiple: true, default: [] },
+    vehicle: { type: 'string', default: DEFAULT_VEHICLE },
+    rules: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    radius: { type: 'string', default: String(DEFAULT_RADIUS_M) },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    at: { type: 'string' },
+    out: { type: 'string', default: DEFAULT_DATA },
+    bbox: { type: 'string' },
+    limit: { type: 'string', default: String(DEFAULT_LIMIT) },
+    token: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/** A mistake in the command line; reported with the usage text. */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function checkTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new UsageError(`--tz: unknown time zone: ${timeZone}`);
+    }
+}
+
+// Date rolls out-of-range fields over (February 31 becomes March 3), so the parsed
+// time is written back out and must match what was given
+function parseTime(value, timeZone, name) {
+    const offset = /(?:Z|([+-])(\d{2}):?(\d{2}))$/i.exec(value);
+    const date = offset ? new Date(value) : fromZonedInputValue(value, timeZone);
+    if (isNaN(date)) throw new UsageError(`--${name}: not a time: ${value}`);
+    const offsetMs = offset?.[1] ? (offset[1] === '-' ? -1 : 1) * (offset[2] * 60 + Number(offset[3])) * 60000 : 0;
+    const written = offset ? new Date(date.getTime() + offsetMs).toISOString() : toZonedInputValue(date, timeZone);
+    if (written.slice(0, 16) !== value.slice(0, 16)) {
+        throw new UsageError(`--${name}: no such time${offset ? '' : ` in ${timeZone}`}: ${value}`);
+    }
+    return date;
+}
+
+function parseNumbers(value, count, name) {
+    const numbers = String(value ?? '').split(',').map(Number);
+    if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+        throw new UsageError(`${name}: expected ${count} comma-separated numbers, got "${value}"`);
+    }
+    return numbers;
+}
+
+async function readJson(file, what) {
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read ${what} ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${file} is not JSON: ${err.message}`);
+    }
+}
+
+// Snapshots carry street cleaning and meters as extra members; plain files have only regulations
+async function loadFeatures(options) {
+    const data = await readJson(options.data, 'data file');
+    if (!isFeatureCollection(data)) throw new Error(`${options.data} is not a GeoJSON FeatureCollection`);
+    const ruleSet = options.rules ? validateRuleSet(await readJson(options.rules, 'rules file')) : DEFAULT_RULE_SET;
+    const layer = (value) => (isFeatureCollection(value) ? value : null);
+    return prepareFeatures({ regulations: data, sweeping: layer(data.sweeping), meters: layer(data.meters) }, ruleSet);
+}
+
+function evaluationOptions(options) {
+    if (!VEHICLE_PROFILES.some(p => p.id === options.vehicle)) {
+        throw new UsageError(`--vehicle: expected one of ${VEHICLE_PROFILES.map(p => p.id).join(', ')}`);
+    }
+    return {
+        permits: options.permit.map(area => area.trim().toUpperCase()),
+        vehicle: options.vehicle,
+        holidayOverrides: EMPTY_OVERRIDES,
+    };
+}
+
+function truncate(text, width) {
+    const value = String(text ?? '');
+    return value.length > width ? `${value.slice(0, width - 1)}…` : value;
+}
+
+// Left-aligned columns, separated by two spaces
+function formatTable(header, rows) {
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+function describeStay(minutes) {
+    if (minutes === null) return 'no limit within a week';
+    if (minutes === 0) return 'not allowed';
+    const h = Math.floor(minutes / 60), m = minutes % 60;
+    return [h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+}
+
+async function queryNear(location, options) {
+    const [lat, lng] = parseNumbers(location, 2, 'near');
+    const radius = Number(options.radius);
+    if (!(radius > 0)) throw new UsageError(`--radius: expected a positive number of meters, got "${options.radius}"`);
+    const from = options.from ? parseTime(options.from, options.tz, 'from') : new Date();
+    const to = options.to ? parseTime(options.to, options.tz, 'to') : new Date(from.getTime() + DEFAULT_RANGE_MINUTES * 60000);
+    if (to <= from) throw new UsageError('--to must be after --from');
+
+    const features = await loadFeatures(options);
+    const nearby = features
+        .map(f => ({ feature: f, distance: pointGeometryDistance([lng, lat], f.geometry) }))
+        .filter(({ distance }) => distance <= radius);
+    const statuses = evaluateFeatures(nearby.map(({ feature }) => feature), {
+        mode: 'range', rangeStart: from, rangeEnd: to, ...evaluationOptions(options),
+    });
+    const results = nearby
+        .map(({ feature, distance }) => {
+            const status = statuses[feature.id];
+            return {
+                id: feature.id,
+                distance: Math.round(distance),
+                status: status.rangeStatus,
+                coverage: status.coverage,
+                cost: status.cost,
+                sweeping: status.sweeping,
+                category: status.category,
+                regulation: feature.properties?.regulation || '',
+            };
+        })
+        .filter(result => options.all || result.coverage >= 1)
+        .sort((a, b) => b.coverage - a.coverage || a.distance - b.distance);
+
+    if (options.json) {
+        return JSON.stringify({ from: from.toISOString(), to: to.toISOString(), center: [lat, lng], radius, results }, null, 2);
+    }
+    const title = `${results.length} segment${results.length === 1 ? '' : 's'} within ${radius} m, `
+        + `${formatInZone(from, options.tz)} to ${formatInZone(to, options.tz)}`;
+    if (results.length === 0) return `${title}\nNo legal parking found.`;
+    return `${title}\n${formatTable(
+        ['ID', 'DIST', 'STATUS', 'COVERAGE', 'COST', 'REGULATION'],
+        results.map(r => [
+            r.id,
+            `${r.distance} m`,
+            r.status,
+            `${Math.round(r.coverage * 100)}%`,
+            r.cost === null ? '' : `$${r.cost.toFixed(2)}`,
+            truncate(r.regulation, REGULATION_WIDTH),
+        ])
+    )}`;
+}
+
+async function queryStatus(id, options) {
+    const at = options.at ? parseTime(options.at, options.tz, 'at') : new Date();
+    const features = await loadFeatures(options);
+    const feature = features.find(f => String(f.id) === id);
+    if (!feature) throw new Error(`No segment ${id} in ${options.data}`);
+
+    const request = { atTime: at, ...evaluationOptions(options) };
+    const status = evaluateFeatures([feature], { ...request, mode: 'at' })[feature.id];
+    const { stayMinutes } = evaluateFeatures([feature], { ...request, mode: 'stay' })[feature.id];
+    const isHoliday = createHolidayCalendar(request.holidayOverrides).isHoliday;
+    const change = nextChange(feature.regulation, at, { permits: request.permits, vehicle: request.vehicle, isHoliday });
+    const p = feature.properties || {};
+
+    if (options.json) {
+        return JSON.stringify({
+            id: feature.id,
+            at: at.toISOString(),
+            ...status,
+            stayMinutes,
+            nextChange: change && { state: change.state, at: change.at.toISOString() },
+            properties: p,
+        }, null, 2);
+    }
+    return formatTable(['FIELD', 'VALUE'], [
+        ['Segment', feature.id],
+        ['Regulation', p.regulation || '(no text)'],
+        ['Days / hours', [p.days, p.hours].filter(Boolean).join(' ') || '-'],
+        ['Limit', p.hrlimit || '-'],
+        ['At', formatInZone(at, options.tz)],
+        ['Category', status.category],
+        ['Rule', status.isActive ? 'ACTIVE' : 'INACTIVE'],
+        ['Street cleaning', status.sweeping ? 'now' : 'no'],
+        ['Meter', status.metered ? 'running' : 'no'],
+        ['Longest stay', describeStay(stayMinutes)],
+        ['Next change', change ? `${change.state} at ${formatInZone(change.at, options.tz)}` : 'none within a week'],
+    ]);
+}
+
+async function snapshot(options, log) {
+    const [south, west, north, east] = options.bbox ? parseNumbers(options.bbox, 4, '--bbox') : [];
+    const bbox = options.bbox ? { south, west, north, east } : null;
+    const limit = Number(options.limit);
+    if (!(limit > 0)) throw new UsageError(`--limit: expected a positive number, got "${options.limit}"`);
+
+    const layers = await loadLayers(createSocrataProvider(), {
+        bbox,
+        limit,
+        token: options.token,
+        onPage: (layer, features) => log(`${layer}: +${features.length}`),
+    });
+    const truncated = ['regulations', 'sweeping', 'meters'].filter(layer => layers[layer]?.truncated);
+    const data = {
+        type: 'FeatureCollection',
+        metadata: {
+            source: 'SF Open Data',
+            bbox,
+            fetchedAt: new Date().toISOString(),
+            truncated,
+            failed: layers.failed,
+        },
+        features: layers.regulations.features,
+        sweeping: layers.sweeping,
+        meters: layers.meters,
+    };
+    await writeFile(options.out, JSON.stringify(data));
+    const notes = [
+        truncated.length && `truncated at ${limit}: ${truncated.join(', ')} (raise --limit or narrow --bbox)`,
+        layers.failed.length && `unavailable: ${layers.failed.join(', ')}`,
+    ].filter(Boolean);
+    return `Saved ${data.features.length} segments to ${options.out}${notes.length ? `\n${notes.join('\n')}` : ''}`;
+}
+
+/**
+ * Runs one command line.
+ * @param {string[]} args Arguments after the program name.
+ * @param {{log?: (line: string) => void}} [io] `log` receives progress messages.
+ * @returns {Promise<string>} The output to print.
+ * @throws {UsageError} When the arguments are wrong; other errors when the query fails.
+ */
+export async function run(args, { log = () => {} } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values: options, positionals: [command, ...rest] } = parsed;
+    if (options.help || !command) return USAGE;
+    checkTimeZone(options.tz);
+
+    if (command === 'snapshot' && rest.length === 0) return snapshot(options, log);
+    if (command === 'query' && rest[0] === 'near' && rest.length === 2) return queryNear(rest[1], options);
+    if (command === 'query' && rest[0] === 'status' && rest.length === 2) return queryStatus(rest[1], options);
+    throw new UsageError(`Unknown command: ${[command, ...rest].join(' ')}`);
+}
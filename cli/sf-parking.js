@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+import { USAGE, UsageError, run } from './commands.js';
+
+try {
+    const output = await run(process.argv.slice(2), { log: (line) => process.stderr.write(`${line}\n`) });
+    process.stdout.write(`${output}\n`);
+} catch (err) {
+    process.stderr.write(`sf-parking: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write(`\n${USAGE}\n`);
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+}
@@ -0,0 +1,341 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CATEGORIES, DEFAULT_RULE_SET, RULE_FIELDS, patternError, validateRuleSet } from './classification';
+
+const backdropStyle = {
+    position: 'absolute',
+    inset: 0,
+    zIndex: 2000,
+    background: 'rgba(0,0,0,0.3)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+};
+
+const panelStyle = {
+    background: 'white',
+    padding: '16px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    fontSize: '13px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    width: 'min(960px, calc(100vw - 24px))',
+    maxHeight: 'calc(100vh - 24px)',
+    overflowY: 'auto',
+};
+
+const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    fontWeight: 'bold',
+    fontSize: '16px',
+    color: '#333',
+};
+
+const buttonStyle = (isPrimary) => ({
+    padding: '6px 12px',
+    border: isPrimary ? 'none' : '1px solid #ccc',
+    borderRadius: '6px',
+    background: isPrimary ? '#2196F3' : 'white',
+    color: isPrimary ? 'white' : '#333',
+    fontWeight: isPrimary ? 'bold' : 'normal',
+    fontSize: '13px',
+    cursor: 'pointer',
+});
+
+const inputStyle = {
+    padding: '4px 6px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '12px',
+    width: '100%',
+    boxSizing: 'border-box',
+};
+
+const cellStyle = {
+    padding: '2px 4px',
+    verticalAlign: 'top',
+};
+
+const hintStyle = {
+    fontSize: '12px',
+    color: '#777',
+};
+
+const errorStyle = {
+    fontSize: '12px',
+    color: '#c62828',
+};
+
+// Ids stay stable while a rule is edited; new rules get the next free number
+function nextRuleId(rules) {
+    let n = rules.length + 1;
+    while (rules.some(rule => rule.id === `rule-${n}`)) n++;
+    return `rule-${n}`;
+}
+
+function download(ruleSet) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(ruleSet, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'sf-parking-rules.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Optional color: a swatch with a clear button, or a button to give the rule its own color
+function RuleColor({ rule, fallback, onChange }) {
+    if (!rule.color) {
+        return (
+            <button type="button" style={{ ...buttonStyle(false), padding: '2px 6px', fontSize: '11px' }} onClick={() => onChange(fallback)}>
+                Category
+            </button>
+        );
+    }
+    return (
+        <span style={{ display: 'flex', gap: '2px' }}>
+            <input type="color" value={rule.color} aria-label={`Color of ${rule.label}`} onChange={(e) => onChange(e.target.value)} />
+            <button type="button" aria-label={`Use the category color for ${rule.label}`} style={{ ...buttonStyle(false), padding: '2px 6px' }} onClick={() => onChange(null)}>
+                ×
+            </button>
+        </span>
+    );
+}
+
+/**
+ * Editor for the classification rule set: category colors and labels, and the rules
+ * themselves. Edits stay in a draft until applied; rule sets can be imported from and
+ * exported to JSON files.
+ */
+export default function ClassificationSettings({ ruleSet, onApply, onClose }) {
+    const [draft, setDraft] = useState(ruleSet);
+    const [error, setError] = useState(null);
+    const headingRef = useRef(null);
+
+    useEffect(() => {
+        headingRef.current?.focus();
+    }, []);
+
+    const setCategory = (category, key, value) => {
+        setDraft(prev => ({
+            ...prev,
+            categories: { ...prev.categories, [category]: { ...prev.categories[category], [key]: value } },
+        }));
+    };
+
+    const setRule = (index, key, value) => {
+        setDraft(prev => ({ ...prev, rules: prev.rules.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule)) }));
+    };
+
+    const addRule = () => {
+        setDraft(prev => ({
+            ...prev,
+            rules: [...prev.rules, {
+                id: nextRuleId(prev.rules),
+                label: 'New rule',
+                field: 'regulation',
+                pattern: '',
+                category: 'CannotPark',
+                color: null,
+                priority: 50,
+            }],
+        }));
+    };
+
+    const removeRule = (index) => {
+        setDraft(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+    };
+
+    const handleImport = async (file) => {
+        try {
+            setDraft(validateRuleSet(JSON.parse(await file.text())));
+            setError(null);
+        } catch (err) {
+            setError(`Import failed: ${err.message}`);
+        }
+    };
+
+    // Only valid rule sets leave the editor
+    const withValid = (action) => {
+        try {
+            action(validateRuleSet(draft));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div style={backdropStyle} onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="classification-settings"
+                style={panelStyle}
+                onKeyDown={(e) => {
+                    if (e.key === 'Escape') onClose();
+                }}
+            >
+                <div style={headerStyle}>
+                    <span id="classification-settings" ref={headingRef} tabIndex={-1} style={{ outline: 'none' }}>
+                        Classification rules
+                    </span>
+                    <button type="button" aria-label="Close" style={{ ...buttonStyle(false), padding: '2px 8px' }} onClick={onClose}>×</button>
+                </div>
+                <div style={hintStyle}>
+                    Each segment takes the category of the highest-priority rule whose pattern (a regular
+                    expression, case-insensitive) matches the chosen field. Segments no rule matches are Unknown.
+                    Rules with their own color are listed in the legend.
+                </div>
+
+                <fieldset style={{ border: '1px solid #e0e0e0', borderRadius: '6px' }}>
+                    <legend style={{ fontWeight: 600, color: '#555' }}>Categories</legend>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))', gap: '6px' }}>
+                        {CATEGORIES.map(category => (
+                            <label key={category} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                <input
+                                    type="color"
+                                    value={draft.categories[category].color}
+                                    aria-label={`${category} color`}
+                                    onChange={(e) => setCategory(category, 'color', e.target.value)}
+                                />
+                                <input
+                                    type="text"
+                                    value={draft.categories[category].label}
+                                    aria-label={`${category} label`}
+                                    onChange={(e) => setCategory(category, 'label', e.target.value)}
+                                    style={inputStyle}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+
+                <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                    <thead>
+                        <tr style={{ textAlign: 'left', color: '#555', fontSize: '12px' }}>
+                            <th style={{ ...cellStyle, width: '60px' }}>Priority</th>
+                            <th style={cellStyle}>Label</th>
+                            <th style={{ ...cellStyle, width: '100px' }}>Field</th>
+                            <th style={cellStyle}>Pattern</th>
+                            <th style={{ ...cellStyle, width: '120px' }}>Category</th>
+                            <th style={{ ...cellStyle, width: '90px' }}>Color</th>
+                            <th style={{ ...cellStyle, width: '30px' }} aria-label="Delete" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.rules.map((rule, i) => {
+                            const problem = patternError(rule.pattern);
+                            return (
+                                <tr key={rule.id} style={{ borderTop: '1px solid #eee' }}>
+                                    <td style={cellStyle}>
+                                        <input
+                                            type="number"
+                                            value={rule.priority}
+                                            aria-label={`Priority of ${rule.label}`}
+                                            onChange={(e) => setRule(i, 'priority', Number(e.target.value))}
+                                            style={inputStyle}
+                                        />
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <input
+                                            type="text"
+                                            value={rule.label}
+                                            aria-label={`Label of rule ${i + 1}`}
+                                            onChange={(e) => setRule(i, 'label', e.target.value)}
+                                            style={inputStyle}
+                                        />
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <select
+                                            value={rule.field}
+                                            aria-label={`Field of ${rule.label}`}
+                                            onChange={(e) => setRule(i, 'field', e.target.value)}
+                                            style={inputStyle}
+                                        >
+                                            {RULE_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+                                        </select>
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <input
+                                            type="text"
+                                            value={rule.pattern}
+                                            aria-label={`Pattern of ${rule.label}`}
+                                            aria-invalid={problem ? 'true' : undefined}
+                                            onChange={(e) => setRule(i, 'pattern', e.target.value)}
+                                            style={{ ...inputStyle, fontFamily: 'monospace', borderColor: problem ? '#c62828' : '#ccc' }}
+                                        />
+                                        {problem && <div style={errorStyle}>{problem}</div>}
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <select
+                                            value={rule.category}
+                                            aria-label={`Category of ${rule.label}`}
+                                            onChange={(e) => setRule(i, 'category', e.target.value)}
+                                            style={inputStyle}
+                                        >
+                                            {CATEGORIES.map(category => (
+                                                <option key={category} value={category}>{draft.categories[category].label}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <RuleColor
+                                            rule={rule}
+                                            fallback={draft.categories[rule.category].color}
+                                            onChange={(color) => setRule(i, 'color', color)}
+                                        />
+                                    </td>
+                                    <td style={cellStyle}>
+                                        <button
+                                            type="button"
+                                            aria-label={`Delete ${rule.label}`}
+                                            style={{ ...buttonStyle(false), padding: '2px 8px' }}
+                                            onClick={() => removeRule(i)}
+                                        >
+                                            ×
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+
+                {error && <div role="alert" style={errorStyle}>{error}</div>}
+
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+                    <button type="button" style={buttonStyle(false)} onClick={addRule}>Add rule</button>
+                    <button type="button" style={buttonStyle(false)} onClick={() => setDraft(DEFAULT_RULE_SET)}>Reset to defaults</button>
+                    <label style={{ ...buttonStyle(false), display: 'inline-block' }}>
+                        Import…
+                        <input
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={(e) => {
+                                const [file] = e.target.files;
+                                if (file) handleImport(file);
+                                e.target.value = '';
+                            }}
+                            style={{ display: 'none' }}
+                        />
+                    </label>
+                    <button type="button" style={buttonStyle(false)} onClick={() => withValid(download)}>Export</button>
+                    <span style={{ flex: 1 }} />
+                    <button type="button" style={buttonStyle(false)} onClick={onClose}>Cancel</button>
+                    <button
+                        type="button"
+                        style={buttonStyle(true)}
+                        onClick={() => withValid((valid) => {
+                            onApply(valid);
+                            onClose();
+                        })}
+                    >
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
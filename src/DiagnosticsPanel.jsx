@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { DIAGNOSTIC_FIELDS } from './diagnostics';
+
+const panelStyle = {
+    position: 'absolute',
+    top: '12px',
+    left: '56px',
+    zIndex: 1000,
+    background: 'rgba(255,255,255,0.95)',
+    padding: '12px 16px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    fontSize: '14px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    width: '320px',
+    maxHeight: 'calc(100vh - 200px)',
+    overflowY: 'auto',
+};
+
+const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    fontWeight: 'bold',
+    fontSize: '16px',
+    color: '#333',
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    border: 'none',
+    borderRadius: '6px',
+    background: '#eee',
+    color: '#555',
+    fontWeight: 'bold',
+    fontSize: '13px',
+    cursor: 'pointer',
+};
+
+const inputStyle = {
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '13px',
+};
+
+const hintStyle = {
+    fontSize: '12px',
+    color: '#777',
+};
+
+const KIND_COLORS = {
+    unparsed: '#c62828',
+    ambiguous: '#EF6C00',
+};
+
+const entryStyle = (kind, isHighlighted) => ({
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    width: '100%',
+    padding: '6px 8px',
+    border: `1px solid ${isHighlighted ? '#E91E63' : '#ddd'}`,
+    borderLeft: `4px solid ${KIND_COLORS[kind]}`,
+    borderRadius: '4px',
+    background: isHighlighted ? '#FCE4EC' : 'white',
+    textAlign: 'left',
+    fontSize: '12px',
+    cursor: 'pointer',
+});
+
+const linkButtonStyle = {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#2196F3',
+    fontSize: '11px',
+    cursor: 'pointer',
+    textDecoration: 'underline',
+};
+
+const EXAMPLES = 3; // example segments listed per entry
+
+/**
+ * Data diagnostics panel: posted values in the loaded data that the parsers could not
+ * read or had to guess, with how many segments carry each. Choosing an entry
+ * highlights its segments on the map.
+ */
+export default function DiagnosticsPanel({ entries, highlighted, onHighlight, onSelectFeature, onDownload, onClose }) {
+    const [field, setField] = useState('all');
+    const shown = (entries || []).filter(entry => field === 'all' || entry.field === field);
+    const segments = new Set(shown.flatMap(entry => entry.featureIds)).size;
+
+    return (
+        <div style={panelStyle} role="region" aria-label="Data diagnostics">
+            <div style={headerStyle}>
+                <span>Data diagnostics</span>
+                <button style={buttonStyle} onClick={onClose}>Close</button>
+            </div>
+
+            <span style={hintStyle}>
+                Values the parser could not read (red) or had to guess (orange). Segments with these
+                may be colored wrongly. Choose an entry to highlight its segments.
+            </span>
+
+            <select value={field} onChange={(e) => setField(e.target.value)} style={inputStyle} aria-label="Field">
+                <option value="all">All fields</option>
+                {DIAGNOSTIC_FIELDS.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+
+            {!entries && <span style={hintStyle}>Checking loaded segments...</span>}
+            {entries && shown.length === 0 && <span style={hintStyle}>Nothing to report in the loaded data.</span>}
+            {shown.length > 0 && (
+                <span style={hintStyle} aria-live="polite">
+                    {shown.length} value{shown.length === 1 ? '' : 's'} on {segments} segment{segments === 1 ? '' : 's'}
+                </span>
+            )}
+
+            {shown.length > 0 && (
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {shown.map(entry => {
+                        const key = `${entry.field}|${entry.value}|${entry.reason}`;
+                        const isHighlighted = highlighted === key;
+                        return (
+                            <li key={key}>
+                                <button
+                                    style={entryStyle(entry.kind, isHighlighted)}
+                                    aria-pressed={isHighlighted}
+                                    onClick={() => onHighlight(isHighlighted ? null : { key, featureIds: entry.featureIds })}
+                                >
+                                    <span style={{ color: '#777' }}>
+                                        {entry.field} · {entry.kind} · {entry.count} segment{entry.count === 1 ? '' : 's'}
+                                    </span>
+                                    <code style={{ wordBreak: 'break-word' }}>{entry.value}</code>
+                                    <span>{entry.reason}</span>
+                                </button>
+                                <span style={hintStyle}>
+                                    e.g.{' '}
+                                    {entry.featureIds.slice(0, EXAMPLES).map((id, i) => (
+                                        <React.Fragment key={id}>
+                                            {i > 0 && ', '}
+                                            <button style={linkButtonStyle} onClick={() => onSelectFeature(id)}>{id}</button>
+                                        </React.Fragment>
+                                    ))}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {entries?.length > 0 && (
+                <button style={{ ...buttonStyle, alignSelf: 'flex-start' }} onClick={onDownload}>
+                    Download report (CSV)
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { REMINDER_LEAD_MINUTES, pendingReminders } from './parked-session';
+import { formatInZone } from './timezone';
+
+const panelStyle = {
+    position: 'absolute',
+    bottom: '130px',
+    right: '12px',
+    zIndex: 1000,
+    background: 'rgba(255,255,255,0.95)',
+    padding: '12px 16px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    fontSize: '13px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    width: '240px',
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    border: 'none',
+    borderRadius: '6px',
+    background: '#2196F3',
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: '13px',
+    cursor: 'pointer',
+};
+
+const hintStyle = {
+    fontSize: '12px',
+    color: '#777',
+};
+
+const TICK_MS = 15000;
+
+// "1h 05m left"
+function describeRemaining(ms) {
+    if (ms <= 0) return "Time's up";
+    const minutes = Math.ceil(ms / 60000);
+    const d = Math.floor(minutes / 1440), h = Math.floor((minutes % 1440) / 60), m = minutes % 60;
+    if (d) return `${d}d ${h}h left`;
+    return h ? `${h}h ${String(m).padStart(2, '0')}m left` : `${m}m left`;
+}
+
+function countdownColor(ms) {
+    if (ms <= 0) return '#C62828';
+    if (ms <= REMINDER_LEAD_MINUTES * 60000) return '#E65100';
+    return '#2E7D32';
+}
+
+function notify({ key, title, body }) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        new Notification(title, { body, tag: `sf-parking-${key}` });
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('[parked] Could not show notification', err);
+    }
+}
+
+// Schedules the session's browser notifications. Reminders whose event has
+// already passed (e.g. while the page was closed) are dropped without showing.
+function useReminders(session, onNotified) {
+    useEffect(() => {
+        if (!session) return;
+        const timers = pendingReminders(session).map(reminder => {
+            const eventTime = reminder.at.getTime() + REMINDER_LEAD_MINUTES * 60000;
+            const delay = Math.max(0, reminder.at.getTime() - Date.now());
+            return setTimeout(() => {
+                if (Date.now() < eventTime) notify(reminder);
+                onNotified(reminder.key);
+            }, delay);
+        });
+        return () => timers.forEach(clearTimeout);
+    }, [session, onNotified]);
+}
+
+/**
+ * "I parked here" panel: without a session it offers to start one at the current
+ * location; with one it counts down to the move-by deadline, warns about street
+ * cleaning and sends reminders before both.
+ */
+export default function ParkedCar({ session, timeZone, onParkAtLocation, onFindCar, onEnd, onNotified }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!session) return;
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+        return () => clearInterval(timer);
+    }, [session]);
+
+    useReminders(session, onNotified);
+
+    if (!session) {
+        return (
+            <div style={{ ...panelStyle, width: 'auto', padding: '8px' }}>
+                <button style={buttonStyle} onClick={onParkAtLocation} title="Start a parking session where you are">
+                    I parked here
+                </button>
+            </div>
+        );
+    }
+
+    const remaining = session.deadline ? Date.parse(session.deadline) - now : null;
+    const showSweeping = session.sweepingAt && session.sweepingAt !== session.deadline;
+
+    return (
+        <div style={panelStyle} role="region" aria-label="Your parked car">
+            <b style={{ fontSize: '15px', color: '#333' }}>Your car</b>
+            <span style={hintStyle}>
+                {session.featureId ? session.label : 'Not on a mapped segment; check the signs.'}
+            </span>
+            <span>Parked {formatInZone(new Date(session.parkedAt), timeZone)}</span>
+
+            {remaining !== null ? (
+                <>
+                    <span>Move by {formatInZone(new Date(session.deadline), timeZone)}</span>
+                    <span
+                        role="timer"
+                        aria-live="polite"
+                        style={{ fontSize: '20px', fontWeight: 'bold', color: countdownColor(remaining) }}
+                    >
+                        {describeRemaining(remaining)}
+                    </span>
+                </>
+            ) : (
+                session.featureId && <span style={{ color: '#2E7D32' }}>No time limit for at least a week</span>
+            )}
+
+            {showSweeping && (
+                <span style={{ color: '#8E44AD' }}>
+                    Street cleaning {formatInZone(new Date(session.sweepingAt), timeZone)}
+                </span>
+            )}
+
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <button style={buttonStyle} onClick={onFindCar}>Find car</button>
+                <button style={{ ...buttonStyle, background: '#eee', color: '#555' }} onClick={onEnd}>
+                    I've left
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,181 @@
+import React from 'react';
+import { DEFAULT_SEARCH_RADIUS_M } from './search';
+
+const panelStyle = {
+    position: 'absolute',
+    top: '12px',
+    left: '56px',
+    zIndex: 1000,
+    background: 'rgba(255,255,255,0.95)',
+    padding: '12px 16px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    fontSize: '14px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    width: '280px',
+    maxHeight: 'calc(100vh - 120px)',
+    overflowY: 'auto',
+};
+
+const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    fontWeight: 'bold',
+    fontSize: '16px',
+    color: '#333',
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    border: 'none',
+    borderRadius: '6px',
+    background: '#2196F3',
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: '13px',
+    cursor: 'pointer',
+};
+
+const inputGroupStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+};
+
+const inputLabelStyle = {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#555',
+};
+
+const inputStyle = {
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '13px',
+};
+
+const hintStyle = {
+    fontSize: '12px',
+    color: '#777',
+};
+
+const resultStyle = (coversStay) => ({
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    padding: '6px 8px',
+    border: `1px solid ${coversStay ? '#A5D6A7' : '#FFE082'}`,
+    borderLeft: `4px solid ${coversStay ? '#2E7D32' : '#FFA000'}`,
+    borderRadius: '4px',
+    background: 'white',
+    textAlign: 'left',
+    fontSize: '12px',
+    cursor: 'pointer',
+});
+
+const DURATIONS = [
+    [30, '30 min'],
+    [60, '1 hour'],
+    [120, '2 hours'],
+    [180, '3 hours'],
+    [240, '4 hours'],
+    [480, '8 hours'],
+    [720, '12 hours'],
+    [1440, '24 hours'],
+];
+
+// One-line verdict for a result
+function describeResult(result) {
+    if (!result.coversStay) return `Covers ${Math.round(result.coverage * 100)}% of your stay`;
+    if (result.status === 'metered') {
+        return `Metered the whole stay${result.cost !== null ? `, about $${result.cost.toFixed(2)}` : ''}`;
+    }
+    return 'Free for your whole stay';
+}
+
+/**
+ * "Find me parking" panel: pick a destination on the map, an arrival time and a
+ * stay, and get nearby segments ranked by walk and by how much of the stay they allow.
+ */
+export default function ParkingSearch({ search, setSearch, arrival, onArrivalChange, results, onSelect }) {
+    if (!search.active) {
+        return (
+            <div style={{ ...panelStyle, padding: '8px' }}>
+                <button style={buttonStyle} onClick={() => setSearch(prev => ({ ...prev, active: true }))}>
+                    Find parking
+                </button>
+            </div>
+        );
+    }
+
+    const hasFullCover = results.some(r => r.coversStay);
+
+    return (
+        <div style={panelStyle} role="region" aria-label="Find parking">
+            <div style={headerStyle}>
+                <span>Find parking</span>
+                <button
+                    style={{ ...buttonStyle, background: '#eee', color: '#555' }}
+                    onClick={() => setSearch(prev => ({ ...prev, active: false }))}
+                >
+                    Close
+                </button>
+            </div>
+
+            <span style={hintStyle}>
+                {search.destination ? 'Click the map to move your destination.' : 'Click the map where you are going.'}
+            </span>
+
+            <div style={inputGroupStyle}>
+                <label style={inputLabelStyle}>Arriving:</label>
+                <input
+                    type="datetime-local"
+                    value={arrival}
+                    onChange={(e) => onArrivalChange(e.target.value)}
+                    style={inputStyle}
+                />
+            </div>
+
+            <div style={inputGroupStyle}>
+                <label style={inputLabelStyle}>Staying for:</label>
+                <select
+                    value={search.durationMinutes}
+                    onChange={(e) => setSearch(prev => ({ ...prev, durationMinutes: Number(e.target.value) }))}
+                    style={inputStyle}
+                >
+                    {DURATIONS.map(([minutes, label]) => (
+                        <option key={minutes} value={minutes}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {search.destination && results.length === 0 && (
+                <span style={hintStyle}>No legal parking found within {DEFAULT_SEARCH_RADIUS_M} m. Try another time, stay or destination.</span>
+            )}
+
+            {results.length > 0 && !hasFullCover && (
+                <span style={{ ...hintStyle, color: '#E65100' }}>
+                    Nothing nearby covers your whole stay. Next best:
+                </span>
+            )}
+
+            {results.length > 0 && (
+                <ol style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {results.map((result, i) => (
+                        <li key={result.id}>
+                            <button style={{ ...resultStyle(result.coversStay), width: '100%' }} onClick={() => onSelect(result)}>
+                                <b>#{i + 1} · {result.walkMinutes} min walk</b>
+                                <span>{describeResult(result)}</span>
+                                {result.label && <span style={{ color: '#777' }}>{result.label}</span>}
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
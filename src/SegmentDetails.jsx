@@ -0,0 +1,280 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { changeStillAhead, nextChange, weekStart, weeklySchedule } from './schedule';
+import { featureIssues } from './diagnostics';
+import { SF_TIME_ZONE, formatInZone, fromZonedInputValue, zonedParts } from './timezone';
+
+const STATE_COLORS = {
+    free: '#2196F3',
+    limited: '#FFC107',
+    forbidden: '#d73027',
+};
+
+const STATE_LABELS = {
+    free: 'Free',
+    limited: 'Time limited or metered',
+    forbidden: 'No parking',
+};
+
+// Completes "Becomes ..."
+const STATE_CHANGES = {
+    free: 'free to park',
+    limited: 'time-limited or metered',
+    forbidden: 'no-parking',
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOUR_LABELS = ['12a', '6a', '12p', '6p'];
+
+const RANGE_TEXT = {
+    free: 'Free for your range',
+    partial: 'Free for part of your range',
+    'not-allowed': 'Not allowed for your range',
+};
+
+const headingStyle = {
+    margin: 0,
+    fontSize: '14px',
+    outline: 'none',
+};
+
+const sectionStyle = {
+    margin: '6px 0',
+};
+
+const hintStyle = {
+    fontSize: '11px',
+    color: '#777',
+};
+
+const warningStyle = {
+    ...sectionStyle,
+    padding: '4px 6px',
+    borderRadius: '4px',
+    background: '#FFF3E0',
+    color: '#E65100',
+};
+
+// The instant the selected mode evaluates from
+function referenceTime(filters) {
+    const mode = filters.simulationEnabled ? filters.simulationMode : 'now';
+    if (mode === 'range') return fromZonedInputValue(filters.rangeStart, filters.timeZone);
+    if (mode === 'at' || mode === 'stay') return fromZonedInputValue(filters.atTime, filters.timeZone);
+    // Whole minutes, so re-renders within a minute reuse the schedule
+    return new Date(Math.floor(Date.now() / 60000) * 60000);
+}
+
+// The moment(s) being evaluated, in the user's zone and, if different, San Francisco time
+function describeEvaluationTime(filters) {
+    const mode = filters.simulationEnabled ? filters.simulationMode : 'now';
+    const inZones = (value) => {
+        const date = fromZonedInputValue(value, filters.timeZone);
+        const shown = formatInZone(date, filters.timeZone);
+        return filters.timeZone === SF_TIME_ZONE ? shown : `${shown} (SF: ${formatInZone(date, SF_TIME_ZONE)})`;
+    };
+    if (mode === 'at') return [`At ${inZones(filters.atTime)}`];
+    if (mode === 'range') return [`From ${inZones(filters.rangeStart)}`, `To ${inZones(filters.rangeEnd)}`];
+    if (mode === 'stay') return [`Parking at ${inZones(filters.atTime)}`];
+    return [];
+}
+
+// "35 min", "2h 30m", "2d 4h"
+function describeDuration(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const d = Math.floor(minutes / 1440), h = Math.floor((minutes % 1440) / 60), m = minutes % 60;
+    if (d) return [`${d}d`, h && `${h}h`].filter(Boolean).join(' ');
+    return [`${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+}
+
+// "2h 30m"; stays of a day or more also say when they end
+function describeStay(minutes, filters) {
+    if (minutes === null) return 'No limit for at least a week';
+    if (minutes === 0) return 'Parking not allowed';
+    const h = Math.floor(minutes / 60), m = minutes % 60;
+    const length = [h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+    const until = new Date(fromZonedInputValue(filters.atTime, filters.timeZone).getTime() + minutes * 60000);
+    return `${length} (until ${formatInZone(until, filters.timeZone)})`;
+}
+
+function describeNextChange(change, from, timeZone) {
+    if (!change) return 'No change for at least a week';
+    const minutes = Math.max(1, Math.round((change.at - from) / 60000));
+    return `Becomes ${STATE_CHANGES[change.state]} in ${describeDuration(minutes)} (${formatInZone(change.at, timeZone)})`;
+}
+
+function costText(status) {
+    if (status.rangeStatus === 'metered') {
+        return `Metered (${status.cost !== null ? `$${status.cost.toFixed(2)}` : 'cost unavailable, no rate in the meter data'} for your range)`;
+    }
+    return RANGE_TEXT[status.rangeStatus];
+}
+
+// Week grid, Monday first, with the evaluated hour outlined
+function ScheduleGrid({ schedule, reference }) {
+    const ref = zonedParts(reference, SF_TIME_ZONE);
+    const refDay = schedule.days.findIndex(day => {
+        const p = zonedParts(day, SF_TIME_ZONE);
+        return p.year === ref.year && p.month === ref.month && p.day === ref.day;
+    });
+
+    return (
+        <table
+            aria-label="Weekly schedule, San Francisco time"
+            style={{ borderCollapse: 'collapse', width: '100%', tableLayout: 'fixed', fontSize: '10px' }}
+        >
+            <thead>
+                <tr>
+                    <td style={{ width: '28px' }} />
+                    {HOUR_LABELS.map(label => (
+                        <th key={label} scope="colgroup" colSpan={6} style={{ textAlign: 'left', fontWeight: 'normal', color: '#777' }}>
+                            {label}
+                        </th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {schedule.cells.map((row, d) => (
+                    <tr key={WEEKDAYS[d]}>
+                        <th scope="row" style={{ textAlign: 'left', fontWeight: d === refDay ? 'bold' : 'normal' }}>
+                            {WEEKDAYS[d]}
+                        </th>
+                        {row.map((state, hour) => {
+                            const label = `${WEEKDAYS[d]} ${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}: ${STATE_LABELS[state]}`;
+                            const isReference = d === refDay && hour === ref.hour;
+                            return (
+                                <td
+                                    key={hour}
+                                    title={label}
+                                    aria-label={label}
+                                    style={{
+                                        height: '12px',
+                                        padding: 0,
+                                        background: STATE_COLORS[state],
+                                        border: '1px solid white',
+                                        outline: isReference ? '2px solid #333' : 'none',
+                                        outlineOffset: '-1px',
+                                    }}
+                                />
+                            );
+                        })}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * Segment detail panel: status in the selected mode, what changes next, the week's
+ * schedule as a day-by-hour grid and the raw posted fields.
+ */
+export default function SegmentDetails({ feature, status, filters, holidayCalendar, onParkHere, onClose }) {
+    const headingRef = useRef(null);
+    const p = feature.properties || {};
+    const reg = feature.regulation;
+
+    // Move focus into the panel when a segment is selected, for keyboard and screen reader users
+    useEffect(() => {
+        headingRef.current?.focus();
+    }, [feature.id]);
+
+    const options = useMemo(
+        () => ({ permits: filters.permits, vehicle: filters.vehicle, isHoliday: holidayCalendar.isHoliday }),
+        [filters.permits, filters.vehicle, holidayCalendar]
+    );
+    const [changeScan, setChangeScan] = useState(null); // {reg, options, from, change} of the last nextChange
+    const reference = referenceTime(filters);
+    const week = weekStart(reference);
+    const schedule = useMemo(() => weeklySchedule(reg, new Date(week), options), [reg, week, options]);
+
+    // Scrubbing the time only rescans once it passes the change found last
+    let scan = changeScan;
+    if (!scan || scan.reg !== reg || scan.options !== options
+        || !(scan.from === reference.getTime() || changeStillAhead(scan.change, new Date(scan.from), reference))) {
+        scan = { reg, options, from: reference.getTime(), change: nextChange(reg, reference, options) };
+        setChangeScan(scan);
+    }
+    const { change } = scan;
+
+    const issues = featureIssues(p);
+    const rpp = [p.rpparea1, p.rpparea2, p.rpparea3].filter(Boolean).join(', ') || p.rpp_sym || p.sym_rpp2 || '';
+    const fields = [
+        ['Days', p.days],
+        ['Hours', p.hours],
+        ['Limit', p.hrlimit],
+        ['RPP', rpp],
+        ['Detail', p.regdetails],
+        ['Exceptions', p.exceptions],
+    ];
+
+    return (
+        <div
+            role="dialog"
+            aria-labelledby={`segment-${feature.id}`}
+            onKeyDown={(e) => {
+                if (e.key === 'Escape') onClose();
+            }}
+            style={{ fontSize: '12px', lineHeight: 1.4 }}
+        >
+            <h3 id={`segment-${feature.id}`} ref={headingRef} tabIndex={-1} style={headingStyle}>
+                {status ? `${status.category} - ${status.isActive ? 'ACTIVE' : 'INACTIVE'}` : reg.category}
+            </h3>
+            <div>{p.regulation || '(no text)'}</div>
+            {issues.length > 0 && (
+                <div role="note" style={warningStyle}>
+                    Posted values not fully understood; the colors may be wrong:
+                    {issues.map(issue => (
+                        <div key={issue.field}>{issue.field} "{issue.value}": {issue.reason}</div>
+                    ))}
+                </div>
+            )}
+
+            {status && (
+                <div style={sectionStyle}>
+                    {status.coverage !== undefined && <div>Coverage: {(status.coverage * 100).toFixed(0)}%</div>}
+                    {status.stayMinutes !== undefined && <div>Max stay: {describeStay(status.stayMinutes, filters)}</div>}
+                    {costText(status) && <div>{costText(status)}</div>}
+                    {describeEvaluationTime(filters).map(line => (
+                        <div key={line} style={hintStyle}>{line}</div>
+                    ))}
+                </div>
+            )}
+
+            <div style={{ ...sectionStyle, fontWeight: 'bold' }}>{describeNextChange(change, reference, filters.timeZone)}</div>
+
+            <ScheduleGrid schedule={schedule} reference={reference} />
+            <div style={{ ...hintStyle, display: 'flex', gap: '8px', flexWrap: 'wrap', margin: '4px 0' }}>
+                {Object.entries(STATE_LABELS).map(([state, label]) => (
+                    <span key={state}>
+                        <span style={{ display: 'inline-block', width: '8px', height: '8px', background: STATE_COLORS[state], marginRight: '3px' }} />
+                        {label}
+                    </span>
+                ))}
+            </div>
+
+            <dl style={{ ...sectionStyle, display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '2px 8px' }}>
+                {fields.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                        <dt style={{ color: '#555' }}>{label}</dt>
+                        <dd style={{ margin: 0 }}>{value || '—'}</dd>
+                    </React.Fragment>
+                ))}
+                <dt style={{ color: '#555' }}>Meters</dt>
+                <dd style={{ margin: 0 }}>
+                    {status?.metered && <b>Running at selected time<br /></b>}
+                    {reg.meters.length ? reg.meters.map(rule => <div key={rule.label}>{rule.label}</div>) : 'None'}
+                </dd>
+                <dt style={{ color: '#555' }}>Street cleaning</dt>
+                <dd style={{ margin: 0 }}>
+                    {status?.sweeping && <b>Scheduled during selected time<br /></b>}
+                    {reg.sweeping.length
+                        ? reg.sweeping.map((rule, i) => <div key={i}>{rule.label}{rule.side ? ` (${rule.side} side)` : ''}</div>)
+                        : 'None listed'}
+                </dd>
+            </dl>
+
+            <button type="button" onClick={() => onParkHere(feature)} style={{ padding: '6px 12px', cursor: 'pointer' }}>
+                I parked here
+            </button>
+        </div>
+    );
+}
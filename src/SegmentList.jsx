@@ -0,0 +1,267 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AVAILABILITY_FILTERS, SORT_ORDERS } from './segment-list';
+
+const toggleStyle = {
+    position: 'absolute',
+    top: '90px',
+    left: '10px',
+    zIndex: 1000,
+    padding: '6px 10px',
+    border: '2px solid rgba(0,0,0,0.2)',
+    borderRadius: '4px',
+    background: 'white',
+    fontSize: '13px',
+    fontWeight: 'bold',
+    cursor: 'pointer',
+};
+
+const panelStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    bottom: 0,
+    zIndex: 1100,
+    width: 'min(340px, 85vw)',
+    background: 'rgba(255,255,255,0.98)',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: '13px',
+};
+
+const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '12px 16px 8px',
+    fontWeight: 'bold',
+    fontSize: '16px',
+    color: '#333',
+};
+
+const controlsStyle = {
+    display: 'flex',
+    gap: '8px',
+    padding: '0 16px 8px',
+    borderBottom: '1px solid #e0e0e0',
+};
+
+const inputLabelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    flex: 1,
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#555',
+};
+
+const inputStyle = {
+    padding: '4px 6px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '13px',
+};
+
+const hintStyle = {
+    padding: '8px 16px',
+    fontSize: '12px',
+    color: '#777',
+};
+
+const rowStyle = (isActive, isSelected) => ({
+    display: 'flex',
+    gap: '8px',
+    padding: '6px 16px',
+    borderBottom: '1px solid #f0f0f0',
+    background: isSelected ? '#E3F2FD' : isActive ? '#f5f5f5' : 'transparent',
+    outline: isActive ? '2px solid #2196F3' : 'none',
+    outlineOffset: '-2px',
+    cursor: 'pointer',
+});
+
+const MAX_ROWS = 500; // longer lists ask the user to zoom in
+const PAGE_ROWS = 10; // rows moved by Page Up / Page Down
+
+/**
+ * Collapsible list of the segments in view, for reading the map without the map.
+ * Moving through the rows (pointer or keyboard) highlights each segment on the map;
+ * choosing one opens its detail panel. Selecting a line on the map selects its row.
+ */
+export default function SegmentList({
+    open, onToggle, rows, selectedId, availability, onAvailabilityChange, sort, onSortChange,
+    onHighlight, onSelect, onFreeze,
+}) {
+    const [activeId, setActiveId] = useState(null);
+    const listRef = useRef(null);
+    const toggleRef = useRef(null);
+    const refocusToggle = useRef(false);
+    const rowRefs = useRef(new Map());
+    const shown = rows.slice(0, MAX_ROWS);
+
+    // A line clicked on the map becomes the current row
+    useEffect(() => {
+        if (selectedId) setActiveId(selectedId);
+    }, [selectedId]);
+
+    useEffect(() => {
+        rowRefs.current.get(activeId)?.scrollIntoView({ block: 'nearest' });
+    }, [activeId, open]);
+
+    useEffect(() => {
+        if (open) listRef.current?.focus();
+        else if (refocusToggle.current) toggleRef.current?.focus();
+        refocusToggle.current = false;
+    }, [open]);
+
+    if (!open) {
+        return (
+            <button
+                ref={toggleRef}
+                style={toggleStyle}
+                aria-expanded="false"
+                aria-controls="segment-list"
+                onClick={onToggle}
+            >
+                ☰ List
+            </button>
+        );
+    }
+
+    const close = () => {
+        refocusToggle.current = true;
+        onFreeze(false);
+        onHighlight(null);
+        onToggle();
+    };
+
+    const moveTo = (index) => {
+        const row = shown[Math.max(0, Math.min(shown.length - 1, index))];
+        if (!row) return;
+        setActiveId(row.id);
+        onHighlight(row.id);
+    };
+
+    const handleKeyDown = (e) => {
+        const index = shown.findIndex(row => row.id === activeId);
+        const moves = {
+            ArrowDown: index + 1,
+            ArrowUp: index < 0 ? 0 : index - 1,
+            Home: 0,
+            End: shown.length - 1,
+            PageDown: index + PAGE_ROWS,
+            PageUp: index - PAGE_ROWS,
+        };
+        if (e.key in moves) {
+            e.preventDefault();
+            moveTo(moves[e.key]);
+        } else if ((e.key === 'Enter' || e.key === ' ') && index >= 0) {
+            e.preventDefault();
+            onSelect(shown[index].id);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    };
+
+    const active = shown.some(row => row.id === activeId) ? activeId : null;
+
+    return (
+        <aside
+            id="segment-list"
+            aria-label="Segments in view"
+            style={panelStyle}
+            onMouseEnter={() => onFreeze(true)}
+            onMouseLeave={() => {
+                onFreeze(false);
+                onHighlight(active);
+            }}
+        >
+            <div style={headerStyle}>
+                <span>Segments in view ({rows.length})</span>
+                <button
+                    aria-label="Close segment list"
+                    aria-expanded="true"
+                    style={{ ...inputStyle, cursor: 'pointer', fontWeight: 'bold' }}
+                    onClick={close}
+                >
+                    ×
+                </button>
+            </div>
+
+            <div style={controlsStyle}>
+                <label style={inputLabelStyle}>
+                    Show
+                    <select value={availability} onChange={(e) => onAvailabilityChange(e.target.value)} style={inputStyle}>
+                        {AVAILABILITY_FILTERS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <label style={inputLabelStyle}>
+                    Sort by
+                    <select value={sort} onChange={(e) => onSortChange(e.target.value)} style={inputStyle}>
+                        {SORT_ORDERS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <div style={hintStyle} aria-live="polite">
+                {rows.length === 0 && 'No segments in view match.'}
+                {rows.length > MAX_ROWS && `Showing the first ${MAX_ROWS} of ${rows.length}. Zoom in to see the rest.`}
+                {rows.length > 0 && rows.length <= MAX_ROWS && 'Arrow keys move through the list; Enter opens a segment.'}
+            </div>
+
+            <ul
+                ref={listRef}
+                role="listbox"
+                aria-label="Segments"
+                tabIndex={0}
+                aria-activedescendant={active ? `segment-row-${active}` : undefined}
+                onKeyDown={handleKeyDown}
+                onFocus={() => {
+                    onFreeze(true);
+                    if (!active && shown.length) moveTo(0);
+                }}
+                onBlur={() => onFreeze(false)}
+                style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', flex: 1, outline: 'none' }}
+            >
+                {shown.map(row => (
+                    <li
+                        key={row.id}
+                        id={`segment-row-${row.id}`}
+                        ref={(node) => {
+                            if (node) rowRefs.current.set(row.id, node);
+                            else rowRefs.current.delete(row.id);
+                        }}
+                        role="option"
+                        aria-selected={row.id === selectedId}
+                        aria-label={[
+                            row.label,
+                            row.statusText,
+                            row.category,
+                            row.coverage !== null && `${Math.round(row.coverage * 100)}% coverage`,
+                        ].filter(Boolean).join(', ')}
+                        style={rowStyle(row.id === active, row.id === selectedId)}
+                        onMouseEnter={() => onHighlight(row.id)}
+                        onClick={() => {
+                            setActiveId(row.id);
+                            onSelect(row.id);
+                        }}
+                    >
+                        <span
+                            aria-hidden="true"
+                            style={{ flex: 'none', width: '6px', borderRadius: '3px', background: row.color }}
+                        />
+                        <span style={{ display: 'flex', flexDirection: 'column', gap: '1px', minWidth: 0 }}>
+                            <b style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{row.label}</b>
+                            {row.detail && <span style={{ color: '#777', fontSize: '12px' }}>{row.detail}</span>}
+                            <span style={{ fontSize: '12px' }}>
+                                {row.statusText}
+                                {row.coverage !== null && ` · ${Math.round(row.coverage * 100)}%`}
+                                <span style={{ color: '#777' }}> · {row.category}</span>
+                            </span>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </aside>
+    );
+}
@@ -1,19 +1,66 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, TileLayer, GeoJSON, useMapEvents, useMap } from "react-leaflet";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Circle, CircleMarker, MapContainer, Polyline, Popup, TileLayer, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import { DomEvent, GeoJSON as LeafletGeoJSON, canvas, featureGroup, svg } from "leaflet";
 import TimeFilterControl from './TimeFilterControl';
-import { isActiveAt, intersectsRange, calculateCoverage } from './time-parser';
+import ParkingSearch from './ParkingSearch';
+import ParkedCar from './ParkedCar';
+import ClassificationSettings from './ClassificationSettings';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import SegmentList from './SegmentList';
+import SegmentDetails from './SegmentDetails';
+import TimelineScrubber from './TimelineScrubber';
+import { createEvaluator } from './evaluation-client';
+import { loadSetting, saveSetting } from './storage';
+import { DEFAULT_VEHICLE } from './vehicles';
+import { EMPTY_OVERRIDES, createHolidayCalendar } from './holidays';
+import { SF_TIME_ZONE, fromZonedInputValue, toZonedInputValue } from './timezone';
+import { DEFAULT_LIMIT, clampLimit, createFileProvider, isFeatureCollection, providersFromEnv, toBbox } from './data-providers';
+import { createTileCache, loadTiles } from './tile-cache';
+import { bboxOverlaps, geometryBounds, lineMidpoint, lineStrings } from './geo';
+import { DEFAULT_SEARCH_RADIUS_M } from './search';
+import { timelineWindow, windowContains } from './timeline';
+import { decodeUrlState, encodeUrlState } from './url-state';
+import { exportDiagnostics, exportView } from './export';
+import { DEFAULT_RULE_SET, createPalette, validateRuleSet } from './classification';
+import { nearestFeature, requestReminderPermission, startSession } from './parked-session';
+import { listSegments, mapVerdict } from './segment-list';
 import "leaflet/dist/leaflet.css";
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
 
-const DATASET_ID = "hi6h-neyh"; // Use the source dataset ID
-const GEOM_FIELD = "shape";
+// Built-in data sources; VITE_DATA_PROVIDER picks the initial one (see data-providers.js)
+const ENV_SOURCES = providersFromEnv(import.meta.env);
+const URL_STATE = decodeUrlState(window.location.search); // view the page was opened with
+const DEFAULT_CENTER = [37.7749, -122.4194];
+const DEFAULT_ZOOM = 15;
+const HISTORY_COALESCE_MS = 1000; // changes closer together than this share a history entry
+const tileCache = createTileCache();
+const SWEEPING_COLOR = "#8E44AD";
+const CANVAS_THRESHOLD = 1000; // above this many segments, draw on canvas instead of SVG
+const SEARCH_HIGHLIGHTS = 5; // search results outlined on the map
+const DIAGNOSTIC_COLOR = "#E91E63";
+const LIST_HIGHLIGHT_COLOR = "#212121";
+const LIST_WIDTH = 340; // px, matches the sidebar's width on wide screens
+// Stay mode gradient: [longest stay in minutes, color, legend label]
+const STAY_BUCKETS = [
+    [0, "#d73027", "No parking"],
+    [59, "#fc8d59", "Under 1 hour"],
+    [120, "#fee08b", "1-2 hours"],
+    [240, "#d9ef8b", "2-4 hours"],
+    [Infinity, "#91cf60", "Over 4 hours"],
+];
+const OVERNIGHT_STAY_COLOR = "#66bd63"; // lasts to the next morning, however long
+const UNLIMITED_STAY_COLOR = "#1a9850";
 
-// Helper to format a date for datetime-local input
-const toLocalISOString = (date) => {
-    const tzoffset = date.getTimezoneOffset() * 60000; // offset in milliseconds
-    const localISOTime = new Date(date.getTime() - tzoffset).toISOString().slice(0, 16);
-    return localISOTime;
-};
+// Saves generated content through a temporary link
+function downloadFile(content, mimeType, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 // Debounce Hook
 function useDebouncedCallback(cb, delay = 300) {
@@ -24,97 +71,157 @@ function useDebouncedCallback(cb, delay = 300) {
     };
 }
 
-// Regulation Classification and Styling
-function classifyRegulation(props) {
-    const text = (props?.regulation || "").toLowerCase();
-    const hasTimeLimit = !!(props?.hrlimit || props?.hours);
+// Loads the saved rule set, falling back to the defaults if it no longer validates
+function loadRuleSet() {
+    try {
+        return validateRuleSet(loadSetting("classificationRules", DEFAULT_RULE_SET));
+    } catch (err) {
+        console.warn("Ignoring saved classification rules:", err.message);
+        return DEFAULT_RULE_SET;
+    }
+}
 
-    // Category 1: Cannot Park (Red)
-    if (/no\s*parking|tow-?away/.test(text)) return "CannotPark";
-    if (/commercial|truck|taxi|permit\s*only|loading/.test(text)) return "CannotPark";
+// Regulation Styling. Colors come from the classification rule set (see createPalette).
+function styleForFeature(status, showInactiveDim, mode, palette) {
+    const cls = status.category;
 
-    // Category 2: Time Limited (Yellow) - Check time limit first, regardless of RPP
-    if (hasTimeLimit || /time\s*limit|\b\d+\s*(min|hour|hr|h)\b/.test(text)) return "TimeLimit";
+    // In stay mode, color by how long you may park from the selected time
+    if (mode === 'stay') {
+        const minutes = status.stayMinutes;
+        const color = minutes === null
+            ? UNLIMITED_STAY_COLOR
+            : status.stayOvernight ? OVERNIGHT_STAY_COLOR : STAY_BUCKETS.find(([max]) => minutes <= max)[1];
+        return { color, weight: 3, opacity: 1.0 };
+    }
 
-    // Category 3: No Regulation (Blue) - if no restrictions detected
-    if (!text || text.trim() === "") return "NoRegulation";
+    // At and Range modes color by the verdict the segment list shows too
+    const verdict = mapVerdict(status, mode);
+    if (verdict === "sweeping") {
+        return { color: SWEEPING_COLOR, weight: 4, opacity: 1.0 }; // Purple - street cleaning
+    }
+    if (verdict) {
+        return { color: palette.categoryColor(verdict), weight: 3, opacity: 1.0 };
+    }
 
-    // Category 4: Unknown (Grey)
-    return "Unknown";
+    // Now mode: the color of the matching rule, or of its category
+    const baseStyle = {
+        color: palette.colorFor(cls, status.ruleId),
+        weight: cls === "CannotPark" ? 4 : cls === "Unknown" ? 2 : 3,
+    };
+
+    if (showInactiveDim && !status.isActive) {
+        return { ...baseStyle, opacity: 0.3, dashArray: '5, 5' };
+    }
+    return baseStyle;
 }
 
-function styleForFeature(feature, showInactiveDim, isRangeMode, isAtMode) {
-    const props = feature.properties;
-    const cls = classifyRegulation(props);
-
-    // In range mode, use coverage-based coloring
-    if (isRangeMode && props._coverage !== undefined) {
-        const coverage = props._coverage;
-        let color;
-
-        if (coverage >= 1.0) {
-            // Full coverage: Blue (can park here the entire time)
-            color = "#2196F3";
-        } else if (coverage > 0) {
-            // Partial coverage: Yellow (can only park for part of the time)
-            color = "#FFC107";
-        } else {
-            // No coverage: Red (cannot park at all)
-            color = "#d73027";
+// Shows, hides and restyles every segment for the current evaluation
+function applyView(drawn, { statuses, filters, palette }) {
+    const mode = filters.simulationEnabled ? filters.simulationMode : 'now';
+    for (const layer of drawn.layers.values()) {
+        const status = statuses?.[layer.feature.id];
+        if (!status || (!filters.showInactiveDim && !status.isActive)) {
+            drawn.group.removeLayer(layer);
+            continue;
         }
-
-        return { color, weight: 3, opacity: 1.0 };
+        if (!drawn.group.hasLayer(layer)) drawn.group.addLayer(layer);
+        // Full style every time: setStyle only overrides the keys it is given.
+        // Point features in imported files become markers, which have no style.
+        layer.setStyle?.({
+            opacity: 1.0,
+            dashArray: null,
+            ...styleForFeature(status, filters.showInactiveDim, mode, palette),
+        });
     }
+}
 
-    // In At mode, use simple parking availability coloring
-    if (isAtMode) {
-        // If regulation is not active, you can always park
-        if (!props._isActive) {
-            return { color: "#2196F3", weight: 3, opacity: 1.0 }; // Blue - can park
-        }
+// Regulation segments. Each feature gets one Leaflet layer, created when it is first
+// loaded and restyled in place afterwards. Clicking one selects it for the detail panel.
+function RegulationLayer({ features, statuses, filters, palette, onSelect }) {
+    const map = useMap();
+    const drawnRef = useRef(null); // {group, renderer, isCanvas, layers: Map<id, layer>}
+    const viewRef = useRef({ statuses, filters, palette });
+    const selectRef = useRef(onSelect);
 
-        // If regulation is active, check if it's a "Cannot Park" type
-        if (cls === "CannotPark") {
-            return { color: "#d73027", weight: 3, opacity: 1.0 }; // Red - cannot park
-        }
+    useEffect(() => {
+        selectRef.current = onSelect;
+    });
 
-        // If it's TimeLimit or other types, you can still park (with restrictions)
-        return { color: "#2196F3", weight: 3, opacity: 1.0 }; // Blue - can park with time limit
-    }
+    useEffect(() => {
+        const group = featureGroup().addTo(map);
+        drawnRef.current = { group, renderer: null, isCanvas: null, layers: new Map() };
+        return () => {
+            group.remove();
+            drawnRef.current = null;
+        };
+    }, [map]);
 
-    // Now mode: simplified classification-based styling
-    const baseStyle = (() => {
-        switch (cls) {
-            case "CannotPark": return { color: "#d73027", weight: 4 }; // Red - Cannot park
-            case "TimeLimit": return { color: "#FFC107", weight: 3 };  // Yellow - Time limited
-            case "NoRegulation": return { color: "#2196F3", weight: 3 }; // Blue - No regulation
-            default: return { color: "#999999", weight: 2 };           // Grey - Unknown
+    useEffect(() => {
+        const drawn = drawnRef.current;
+        const isCanvas = features.length > CANVAS_THRESHOLD;
+        if (drawn.isCanvas !== isCanvas) {
+            // Switching renderer means recreating the paths
+            drawn.group.clearLayers();
+            drawn.layers.clear();
+            drawn.renderer = isCanvas ? canvas({ padding: 0.5 }) : svg();
+            drawn.isCanvas = isCanvas;
         }
-    })();
 
-    if (showInactiveDim && !props._isActive) {
-        return { ...baseStyle, opacity: 0.3, dashArray: '5, 5' };
-    }
-    return baseStyle;
+        const ids = new Set(features.map(f => f.id));
+        for (const [id, layer] of drawn.layers) {
+            if (ids.has(id)) continue;
+            drawn.group.removeLayer(layer);
+            drawn.layers.delete(id);
+        }
+        for (const f of features) {
+            const existing = drawn.layers.get(f.id);
+            if (existing) {
+                existing.feature = f;
+                continue;
+            }
+            const layer = LeafletGeoJSON.geometryToLayer(f, { renderer: drawn.renderer });
+            if (!layer) continue; // no geometry
+            layer.feature = f;
+            layer.on("click", (e) => {
+                // A line click opens the segment; it should not also reach the map and move the search destination
+                DomEvent.stopPropagation(e);
+                selectRef.current(layer.feature.id, e.latlng);
+            });
+            drawn.layers.set(f.id, layer);
+        }
+        applyView(drawn, viewRef.current);
+    }, [features]);
+
+    useEffect(() => {
+        viewRef.current = { statuses, filters, palette };
+        applyView(drawnRef.current, viewRef.current);
+    }, [statuses, filters, palette]);
+
+    return null;
 }
 
 // Legend Component
-function Legend({ isRangeMode, isAtMode }) {
+function Legend({ isRangeMode, isAtMode, isStayMode, palette }) {
+    const { categoryColor } = palette;
     const rangeItems = [
-        ["#2196F3", "100% free to park"],
-        ["#FFC107", "Partially available"],
-        ["#d73027", "No parking allowed"],
+        [categoryColor("NoRegulation"), "100% free to park"],
+        [categoryColor("Metered"), "Metered for the whole range"],
+        [categoryColor("TimeLimit"), "Partially available"],
+        [categoryColor("CannotPark"), "No parking allowed"],
+        [SWEEPING_COLOR, "Street cleaning during range"],
     ];
     const atItems = [
-        ["#2196F3", "Can park now"],
-        ["#d73027", "Cannot park now"],
+        [categoryColor("NoRegulation"), "Can park now"],
+        [categoryColor("Metered"), "Metered now"],
+        [categoryColor("CannotPark"), "Cannot park now"],
+        [SWEEPING_COLOR, "Street cleaning now"],
     ];
-    const classificationItems = [
-        ["#2196F3", "No regulation"],
-        ["#FFC107", "Time limited parking"],
-        ["#d73027", "Cannot park"],
-        ["#999999", "Unknown/Other"],
+    const stayItems = [
+        ...STAY_BUCKETS.map(([, color, label]) => [color, label]),
+        [OVERNIGHT_STAY_COLOR, "Overnight"],
+        [UNLIMITED_STAY_COLOR, "Unlimited"],
     ];
+    const classificationItems = palette.legendItems();
 
     return (
         <div style={{
@@ -149,12 +256,25 @@ function Legend({ isRangeMode, isAtMode }) {
                     </ul>
                 </>
             )}
-            {!isRangeMode && !isAtMode && (
+            {isStayMode && (
+                <>
+                    <b style={{ fontSize: 13, color: '#333' }}>How Long You Can Stay</b>
+                    <ul style={{ listStyle: "none", padding: 0, margin: "8px 0 12px 0" }}>
+                        {stayItems.map(([color, label]) => (
+                            <li key={label} style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
+                                <span style={{ width: 16, height: 4, background: color, marginRight: 8, borderRadius: 2 }}></span>
+                                <span style={{ fontSize: 12, color: '#555' }}>{label}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+            {!isRangeMode && !isAtMode && !isStayMode && (
                 <>
                     <b style={{ fontSize: 13, color: '#333' }}>Regulation Types</b>
                     <ul style={{ listStyle: "none", padding: 0, margin: "8px 0 0 0" }}>
                         {classificationItems.map(([color, label]) => (
-                            <li key={label} style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
+                            <li key={`${color}|${label}`} style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
                                 <span style={{ width: 16, height: 4, background: color, marginRight: 8, borderRadius: 2 }}></span>
                                 <span style={{ fontSize: 12, color: '#555' }}>{label}</span>
                             </li>
@@ -169,11 +289,77 @@ function Legend({ isRangeMode, isAtMode }) {
 // Viewport Listener
 function ViewportListener({ onMove }) {
     useMapEvents({
-        moveend: (e) => onMove(e.target.getBounds(), e.target.getZoom()),
+        moveend: (e) => onMove(e.target.getBounds(), e.target.getZoom(), e.target.getCenter()),
+    });
+    return null;
+}
+
+// Map clicks, used to place the search destination
+function MapClickListener({ onClick }) {
+    useMapEvents({
+        click: (e) => onClick(e.latlng),
     });
     return null;
 }
 
+// Search destination, radius and the best results, numbered by rank
+function SearchOverlay({ destination, results }) {
+    const [lng, lat] = destination;
+    return (
+        <>
+            <Circle
+                center={[lat, lng]}
+                radius={DEFAULT_SEARCH_RADIUS_M}
+                pathOptions={{ color: '#555', weight: 1, dashArray: '4, 4', fill: false, interactive: false }}
+            />
+            {results.slice(0, SEARCH_HIGHLIGHTS).map((result, i) => (
+                <Polyline
+                    key={result.id}
+                    positions={lineStrings(result.geometry).map(line => line.map(([x, y]) => [y, x]))}
+                    pathOptions={{
+                        color: result.coversStay ? '#2E7D32' : '#FFA000',
+                        weight: 10,
+                        opacity: 0.5,
+                        interactive: false,
+                    }}
+                >
+                    <Tooltip permanent direction="center">{i + 1}</Tooltip>
+                </Polyline>
+            ))}
+            <CircleMarker
+                center={[lat, lng]}
+                radius={8}
+                pathOptions={{ color: 'white', weight: 2, fillColor: '#d81b60', fillOpacity: 1 }}
+            />
+        </>
+    );
+}
+
+// Segments picked in a panel (a diagnostic entry, a list row), drawn as one layer under a halo
+function HighlightOverlay({ features, color }) {
+    const positions = features.flatMap(f => lineStrings(f.geometry).map(line => line.map(([x, y]) => [y, x])));
+    return (
+        <Polyline
+            positions={positions}
+            pathOptions={{ color, weight: 10, opacity: 0.5, interactive: false }}
+        />
+    );
+}
+
+// Where the parked car is
+function ParkedCarMarker({ location }) {
+    const [lng, lat] = location;
+    return (
+        <CircleMarker
+            center={[lat, lng]}
+            radius={9}
+            pathOptions={{ color: 'white', weight: 3, fillColor: '#1565C0', fillOpacity: 1 }}
+        >
+            <Tooltip direction="top" offset={[0, -8]}>Your car</Tooltip>
+        </CircleMarker>
+    );
+}
+
 // Loading Spinner Component
 function LoadingSpinner() {
     return (
@@ -208,6 +394,56 @@ function LoadingSpinner() {
     );
 }
 
+// Progress while pages stream in, then a warning if a request hit the feature cap
+function LoadBanner({ progress, truncated, limit }) {
+    if (progress === null && !truncated) return null;
+    const isWarning = progress === null;
+    return (
+        <div role="status" style={{
+            position: 'absolute',
+            top: 12,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1000,
+            maxWidth: '60%',
+            padding: '8px 14px',
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+            fontSize: '13px',
+            background: isWarning ? '#FFF3E0' : 'rgba(255,255,255,0.95)',
+            color: isWarning ? '#E65100' : '#333',
+            border: isWarning ? '1px solid #FFB74D' : 'none',
+        }}>
+            {isWarning
+                ? <><b>Results truncated</b> at {limit.toLocaleString()} segments per request. Some blocks may be missing rather than unregulated; zoom in or raise the cap.</>
+                : `Loading… ${progress.toLocaleString()} segments so far`}
+        </div>
+    );
+}
+
+// Shown while a file is dragged over the map
+function DropOverlay() {
+    return (
+        <div style={{
+            position: 'absolute',
+            inset: 12,
+            border: '3px dashed #2196F3',
+            borderRadius: '12px',
+            background: 'rgba(33, 150, 243, 0.1)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000,
+            pointerEvents: 'none',
+            fontSize: '18px',
+            fontWeight: 'bold',
+            color: '#1565C0',
+        }}>
+            Drop a GeoJSON file to map its regulations
+        </div>
+    );
+}
+
 // Location Button Component
 function LocationButton({ onClick }) {
     const [isHovered, setIsHovered] = React.useState(false);
@@ -253,34 +489,6 @@ function LocationButton({ onClick }) {
     );
 }
 
-// Socrata API Fetcher
-async function fetchGeojson({ bounds, limit = 5000, token }) {
-    const base = `https://data.sfgov.org/resource/${DATASET_ID}.geojson`;
-    const params = new URLSearchParams();
-
-    if (bounds) {
-        const { _northEast, _southWest } = bounds;
-        const whereClause = `within_box(${GEOM_FIELD}, ${_northEast.lat}, ${_southWest.lng}, ${_southWest.lat}, ${_northEast.lng})`;
-        params.set("$where", whereClause);
-    }
-
-    params.set("$limit", String(limit || 5000));
-    const url = `${base}?${params.toString()}`;
-    console.log("[SODA] GET", url);
-
-    const res = await fetch(url, { headers: token ? { "X-App-Token": token } : {} });
-
-    if (!res.ok) {
-        const text = await res.text();
-        console.error("[SODA] Error", res.status, text);
-        if (res.status === 400 && text.includes("Query is too complex")) {
-            throw new Error("Area too large or query too complex. Zoom in.");
-        }
-        throw new Error(`API Error ${res.status}: ${text}`);
-    }
-    return res.json();
-}
-
 // Main Map Component
 export default function SfParkingMap() {
     const [geojson, setGeojson] = useState(null);
@@ -289,40 +497,227 @@ export default function SfParkingMap() {
     const [filters, setFilters] = useState({
         simulationEnabled: true,
         simulationMode: 'at',
-        atTime: toLocalISOString(new Date()),
-        rangeStart: toLocalISOString(new Date()),
-        rangeEnd: toLocalISOString(new Date(Date.now() + 3600 * 1000)),
+        atTime: toZonedInputValue(new Date(), SF_TIME_ZONE),
+        rangeStart: toZonedInputValue(new Date(), SF_TIME_ZONE),
+        rangeEnd: toZonedInputValue(new Date(Date.now() + 3600 * 1000), SF_TIME_ZONE),
+        timeZone: SF_TIME_ZONE,
         showInactiveDim: true,
+        permits: loadSetting("permits", []),
+        vehicle: loadSetting("vehicle", DEFAULT_VEHICLE),
+        holidayOverrides: loadSetting("holidayOverrides", EMPTY_OVERRIDES),
         token: "",
-        limit: 2000,
+        limit: clampLimit(loadSetting("limit", DEFAULT_LIMIT)),
+        ...URL_STATE.filters,
     });
+    const [progress, setProgress] = useState(null); // segments received so far while streaming
+    const [truncated, setTruncated] = useState(false);
+    const [dataSources, setDataSources] = useState(ENV_SOURCES.providers);
+    const [dataSource, setDataSource] = useState(ENV_SOURCES.selected);
+    const [isDragging, setIsDragging] = useState(false);
     const mapRef = useRef(null);
+    const loadRef = useRef(null); // AbortController of the latest load
+    const evaluatorRef = useRef(null);
+    const shownRef = useRef(0); // sequence number of the latest layers sent to the evaluator
+    const selectSeqRef = useRef(0);
+    const historyRef = useRef({ stateKey: null, at: 0 }); // last URL state written to history, and when
+    const [statuses, setStatuses] = useState(null);
+    const [search, setSearch] = useState({ active: false, destination: null, durationMinutes: 120 });
+    const [searchResults, setSearchResults] = useState([]);
+    const [parked, setParked] = useState(() => loadSetting("parkedSession", null));
+    // {id, latlng, seq} of the segment in the detail panel; latlng is null when opened from a link
+    const [selected, setSelected] = useState(URL_STATE.selectedId ? { id: URL_STATE.selectedId, latlng: null, seq: 0 } : null);
+    const [viewport, setViewport] = useState({
+        center: URL_STATE.center || DEFAULT_CENTER,
+        zoom: URL_STATE.zoom ?? DEFAULT_ZOOM,
+    });
+    const [timelineSpan, setTimelineSpan] = useState("day");
+    const [timelineCenter, setTimelineCenter] = useState(null); // {at, span, timeZone} the timeline window is built around
+    const [availability, setAvailability] = useState(null); // {start, fractions} for the timeline sparkline
+    const [ruleSet, setRuleSet] = useState(loadRuleSet);
+    const [showRules, setShowRules] = useState(false);
+    const [showDiagnostics, setShowDiagnostics] = useState(false);
+    const [diagnostics, setDiagnostics] = useState(null); // entries from collectDiagnostics, null while checking
+    const [highlight, setHighlight] = useState(null); // {key, featureIds} of the diagnostic entry shown on the map
+    const [segmentList, setSegmentList] = useState(() => loadSetting("segmentList", { open: false, availability: "all", sort: "availability" }));
+    const [listBbox, setListBbox] = useState(null); // area the list covers; held while the list is in use
+    const [listHighlightId, setListHighlightId] = useState(null); // row under the pointer or keyboard
+    const listFreezeRef = useRef({ frozen: false, pending: null });
+
+    useEffect(() => {
+        const evaluator = createEvaluator();
+        evaluatorRef.current = evaluator;
+        return () => evaluator.terminate();
+    }, []);
+
+    useEffect(() => {
+        saveSetting("permits", filters.permits);
+    }, [filters.permits]);
+
+    useEffect(() => {
+        saveSetting("vehicle", filters.vehicle);
+    }, [filters.vehicle]);
+
+    useEffect(() => {
+        saveSetting("holidayOverrides", filters.holidayOverrides);
+    }, [filters.holidayOverrides]);
+
+    useEffect(() => {
+        saveSetting("limit", filters.limit);
+    }, [filters.limit]);
+
+    useEffect(() => {
+        saveSetting("parkedSession", parked ?? undefined);
+    }, [parked]);
+
+    useEffect(() => {
+        saveSetting("classificationRules", ruleSet);
+    }, [ruleSet]);
+
+    useEffect(() => {
+        saveSetting("segmentList", segmentList);
+    }, [segmentList]);
+
+    // The worker classifies segments as it compiles them, so new rules recompile what is loaded
+    useEffect(() => {
+        const seq = ++shownRef.current;
+        evaluatorRef.current.setRules(ruleSet).then(features => {
+            if (seq === shownRef.current) setGeojson(prev => prev && { type: "FeatureCollection", features });
+        }).catch(err => console.error(err));
+    }, [ruleSet]);
+
+    const palette = useMemo(() => createPalette(ruleSet), [ruleSet]);
+
+    const holidayCalendar = useMemo(
+        () => createHolidayCalendar(filters.holidayOverrides),
+        [filters.holidayOverrides]
+    );
 
-    const debouncedLoad = useDebouncedCallback(async ({ bounds }) => {
+    // RPP areas posted on the loaded segments, offered as quick picks
+    const permitAreas = useMemo(() => {
+        const areas = new Set();
+        geojson?.features.forEach(f => f.regulation.rppAreas.forEach(a => areas.add(a)));
+        return [...areas];
+    }, [geojson]);
+
+    // `providerId` and `limit` are passed explicitly when they change, before state has updated
+    const debouncedLoad = useDebouncedCallback(async ({ bounds, providerId = dataSource, providers = dataSources, limit = filters.limit }) => {
+        const provider = providers.find(p => p.id === providerId);
+        if (!provider || !bounds) return;
+        loadRef.current?.abort();
+        const controller = new AbortController();
+        loadRef.current = controller;
+        // Parsing happens in the evaluation worker; only the newest layers are kept.
+        // Pages still arriving are previews: the worker takes the latest one whenever it is
+        // free, and they draw in order unless full layers or new rules were sent since.
+        const showLayers = async (layers, isPartial = false) => {
+            const seq = isPartial ? shownRef.current : ++shownRef.current;
+            const features = await (isPartial ? evaluatorRef.current.preview(layers) : evaluatorRef.current.load(layers));
+            if (features && seq === shownRef.current) setGeojson({ type: "FeatureCollection", features });
+            return features;
+        };
         try {
-            setIsLoading(true);
-            setStatus("Loading...");
-            const data = await fetchGeojson({ bounds, limit: filters.limit, token: filters.token });
-            setGeojson(data);
-            setStatus(`Loaded (${data.features?.length || 0})`);
+            // Only show the spinner when something actually has to be fetched
+            const result = await loadTiles(provider, toBbox(bounds), {
+                cache: tileCache,
+                limit,
+                token: filters.token,
+                signal: controller.signal,
+                onFetch: () => {
+                    setIsLoading(true);
+                    setStatus("Loading...");
+                },
+                // Once pages start arriving, draw them instead of covering the map with the spinner
+                onProgress: (partial) => {
+                    if (controller.signal.aborted) return;
+                    setIsLoading(false);
+                    setProgress(partial.regulations.features.length);
+                    // A failed partial draw is superseded by the next page or the final result
+                    showLayers(partial, true).catch(err => console.error(err));
+                },
+            });
+            if (controller.signal.aborted) return;
+            const features = await showLayers(result);
+            if (controller.signal.aborted) return;
+            const isTruncated = result.truncated.length > 0;
+            setTruncated(isTruncated);
+            setStatus(`Loaded (${features.length}${isTruncated ? ", truncated" : ""})`);
         } catch (err) {
+            if (err.name === "AbortError") return;
             console.error(err);
-            setStatus("Error loading data");
+            setStatus(err.message ? `Error: ${err.message}` : "Error loading data");
         } finally {
-            setIsLoading(false);
+            if (loadRef.current === controller) {
+                setIsLoading(false);
+                setProgress(null);
+            }
         }
     }, 300);
 
-    const handleGoToLocation = () => {
+    // Moving the map cancels whatever is still loading for the previous view
+    const handleViewportMove = (bounds, zoom, center) => {
+        setViewport({ center: [center.lat, center.lng], zoom });
+        updateListBbox(toBbox(bounds));
+        loadRef.current?.abort();
+        debouncedLoad({ bounds });
+    };
+
+    // Rows stay put while the pointer or focus is in the list, so panning to a row doesn't
+    // reshuffle the rows under it; the latest view is applied once the list is left
+    const updateListBbox = (bbox) => {
+        if (listFreezeRef.current.frozen) listFreezeRef.current.pending = bbox;
+        else setListBbox(bbox);
+    };
+
+    const handleListFreeze = (frozen) => {
+        const { pending } = listFreezeRef.current;
+        listFreezeRef.current = { frozen, pending: frozen ? pending : null };
+        if (!frozen && pending) setListBbox(pending);
+    };
+
+    const reloadFrom = (providerId, providers = dataSources) => {
+        setDataSource(providerId);
+        debouncedLoad({ bounds: mapRef.current?.getBounds(), providerId, providers });
+    };
+
+    // A new cap reloads the view, so areas cut off by the old one fill in
+    const handleLimitChange = (limit) => {
+        setFilters(prev => ({ ...prev, limit }));
+        debouncedLoad({ bounds: mapRef.current?.getBounds(), limit });
+    };
+
+    // A dropped or picked GeoJSON file becomes the "Imported" source, replacing any earlier import
+    const handleImportFile = async (file) => {
+        try {
+            const data = JSON.parse(await file.text());
+            if (!isFeatureCollection(data)) throw new Error("not a GeoJSON FeatureCollection");
+            const providers = [...dataSources.filter(p => p.id !== "file"), createFileProvider(data, file.name)];
+            setDataSources(providers);
+            const bounds = geometryBounds({ type: "GeometryCollection", geometries: data.features.map(f => f.geometry).filter(Boolean) });
+            if (bounds && mapRef.current) {
+                mapRef.current.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { maxZoom: 17 });
+            }
+            reloadFrom("file", providers);
+        } catch (err) {
+            console.error(err);
+            setStatus(`Import failed: ${err.message}`);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        const [file] = e.dataTransfer.files;
+        if (file) handleImportFile(file);
+    };
+
+    const locate = (onFound) => {
         if (navigator.geolocation) {
             setStatus("Getting location...");
             navigator.geolocation.getCurrentPosition(
                 (position) => {
                     const { latitude, longitude } = position.coords;
-                    if (mapRef.current) {
-                        mapRef.current.setView([latitude, longitude], 15);
-                        setStatus("Location found");
-                    }
+                    setStatus("Location found");
+                    onFound([longitude, latitude]);
                 },
                 (error) => {
                     console.error("Error getting location:", error);
@@ -334,91 +729,475 @@ export default function SfParkingMap() {
         }
     };
 
-    const processedGeojson = useMemo(() => {
-        if (!geojson) return null;
+    const handleGoToLocation = () => {
+        locate(([lng, lat]) => mapRef.current?.setView([lat, lng], 15));
+    };
+
+    // Parking starts now, whatever time the map is showing; the deadline uses the
+    // current permits, vehicle and holidays
+    const handleParkHere = (feature, location = null) => {
+        requestReminderPermission();
+        const session = startSession(feature, location, new Date(), {
+            permits: filters.permits,
+            vehicle: filters.vehicle,
+            isHoliday: holidayCalendar.isHoliday,
+        });
+        setParked(session);
+        mapRef.current?.closePopup();
+    };
 
-        const featuresWithStatus = geojson.features.map(f => {
-            let isActive;
-            let coverage;
-            const props = f.properties;
+    // Snaps the current location to the closest loaded segment
+    const handleParkAtLocation = () => {
+        requestReminderPermission();
+        locate((point) => {
+            handleParkHere(nearestFeature(geojson?.features || [], point), point);
+            const [lng, lat] = point;
+            mapRef.current?.setView([lat, lng], 17);
+        });
+    };
 
-            const currentMode = filters.simulationEnabled ? filters.simulationMode : 'now';
+    const handleFindCar = () => {
+        const [lng, lat] = parked.location;
+        mapRef.current?.setView([lat, lng], 18);
+    };
 
-            if (currentMode === 'now') {
-                isActive = true;
-            } else if (currentMode === 'at') {
-                isActive = isActiveAt(props, new Date(filters.atTime));
-            } else if (currentMode === 'range') {
-                isActive = intersectsRange(props, new Date(filters.rangeStart), new Date(filters.rangeEnd));
-                coverage = calculateCoverage(props, new Date(filters.rangeStart), new Date(filters.rangeEnd));
-            }
+    const handleReminderShown = useCallback((key) => {
+        setParked(prev => prev && { ...prev, notified: [...prev.notified, key] });
+    }, []);
+
+    // What the evaluator needs to know about the selected mode and time; plain data so it can go to the worker
+    const evaluationRequest = useMemo(() => ({
+        mode: filters.simulationEnabled ? filters.simulationMode : 'now',
+        atTime: fromZonedInputValue(filters.atTime, filters.timeZone),
+        rangeStart: fromZonedInputValue(filters.rangeStart, filters.timeZone),
+        rangeEnd: fromZonedInputValue(filters.rangeEnd, filters.timeZone),
+        permits: filters.permits,
+        vehicle: filters.vehicle,
+        holidayOverrides: filters.holidayOverrides,
+    }), [filters.simulationEnabled, filters.simulationMode, filters.atTime, filters.rangeStart, filters.rangeEnd,
+        filters.timeZone, filters.permits, filters.vehicle, filters.holidayOverrides]);
+
+    useEffect(() => {
+        if (!geojson) return;
+        evaluatorRef.current.evaluate(evaluationRequest).then(result => {
+            // null: superseded by a newer request
+            if (result) setStatuses(result);
+        }).catch(err => {
+            console.error(err);
+            setStatus(`Evaluation failed: ${err.message}`);
+        });
+    }, [geojson, evaluationRequest]);
+
+    // Search arrives at the At time, so the map colors and the ranking agree
+    useEffect(() => {
+        if (!search.active || !search.destination || !geojson) return;
+        let cancelled = false;
+        evaluatorRef.current.search({
+            destination: search.destination,
+            arrival: evaluationRequest.atTime,
+            durationMinutes: search.durationMinutes,
+            permits: evaluationRequest.permits,
+            vehicle: evaluationRequest.vehicle,
+            holidayOverrides: evaluationRequest.holidayOverrides,
+        }).then(results => {
+            if (!cancelled) setSearchResults(results);
+        }).catch(err => console.error(err));
+        return () => {
+            cancelled = true;
+        };
+    }, [search, geojson, evaluationRequest]);
+
+    // The timeline covers the day or week around the At time; it only re-centers when the time leaves it
+    const showTimeline = filters.simulationEnabled && filters.simulationMode === 'at';
+    const timeline = useMemo(
+        () => (timelineCenter ? timelineWindow(new Date(timelineCenter.at), timelineCenter.span, timelineCenter.timeZone) : null),
+        [timelineCenter]
+    );
+    const atMs = evaluationRequest.atTime.getTime();
+    if (!isNaN(atMs) && (!timelineCenter || timelineCenter.span !== timelineSpan || timelineCenter.timeZone !== filters.timeZone
+        || !windowContains(timeline, evaluationRequest.atTime))) {
+        setTimelineCenter({ at: atMs, span: timelineSpan, timeZone: filters.timeZone });
+    }
+
+    // Sparkline data for what is in view; recomputed as new data loads for the viewport
+    useEffect(() => {
+        if (!showTimeline || !timeline || !geojson || !mapRef.current) return;
+        let cancelled = false;
+        evaluatorRef.current.availability({
+            times: timeline.times,
+            bbox: toBbox(mapRef.current.getBounds()),
+            permits: evaluationRequest.permits,
+            vehicle: evaluationRequest.vehicle,
+            holidayOverrides: evaluationRequest.holidayOverrides,
+        }).then(fractions => {
+            if (!cancelled) setAvailability({ start: timeline.start, fractions });
+        }).catch(err => console.error(err));
+        return () => {
+            cancelled = true;
+        };
+    }, [showTimeline, timeline, geojson, evaluationRequest.permits, evaluationRequest.vehicle, evaluationRequest.holidayOverrides]);
+
+    // Diagnostics cover everything loaded, and follow new data and new rules
+    useEffect(() => {
+        if (!showDiagnostics || !geojson) return;
+        let cancelled = false;
+        evaluatorRef.current.diagnostics().then(entries => {
+            if (!cancelled) setDiagnostics(entries);
+        }).catch(err => console.error(err));
+        return () => {
+            cancelled = true;
+        };
+    }, [showDiagnostics, geojson]);
+
+    const highlightedFeatures = useMemo(() => {
+        if (!highlight || !geojson) return [];
+        const ids = new Set(highlight.featureIds);
+        return geojson.features.filter(f => ids.has(f.id));
+    }, [highlight, geojson]);
+
+    // Data usually arrives before the first map move, so the list starts from the current view
+    useEffect(() => {
+        if (segmentList.open && !listBbox && geojson && mapRef.current) setListBbox(toBbox(mapRef.current.getBounds()));
+    }, [segmentList.open, listBbox, geojson]);
+
+    const listRows = useMemo(() => {
+        if (!segmentList.open || !listBbox || !geojson || !statuses) return [];
+        const { mode } = evaluationRequest;
+        const rows = listSegments(geojson.features, statuses, {
+            bbox: listBbox,
+            mode,
+            showInactive: filters.showInactiveDim,
+            availability: segmentList.availability,
+            sort: segmentList.sort,
+        });
+        // Rows show categories by their label, next to the color their line is drawn with
+        return rows.map(row => ({
+            ...row,
+            category: ruleSet.categories[row.category]?.label ?? row.category,
+            color: styleForFeature(statuses[row.id], filters.showInactiveDim, mode, palette).color,
+        }));
+    }, [segmentList, listBbox, geojson, statuses, evaluationRequest, filters.showInactiveDim, ruleSet, palette]);
+
+    const listHighlightFeatures = useMemo(
+        () => (listHighlightId && geojson ? geojson.features.filter(f => f.id === listHighlightId) : []),
+        [listHighlightId, geojson]
+    );
+
+    // Brings a segment out from under the sidebar, or into view, without moving the map more than needed
+    const revealSegment = (id) => {
+        const feature = geojson?.features.find(f => f.id === id);
+        const point = feature && lineMidpoint(feature.geometry);
+        if (!point || !mapRef.current) return;
+        const sidebar = Math.min(LIST_WIDTH, window.innerWidth * 0.85);
+        mapRef.current.panInside([point[1], point[0]], { paddingTopLeft: [sidebar + 20, 20], paddingBottomRight: [20, 20] });
+    };
+
+    const handleListHighlight = (id) => {
+        setListHighlightId(id);
+        if (id) revealSegment(id);
+    };
+
+    const handleListSelect = (id) => {
+        revealSegment(id);
+        setSelected({ id, latlng: null, seq: ++selectSeqRef.current });
+    };
+
+    const handleTimelineChange = (date) => {
+        setFilters(prev => ({ ...prev, atTime: toZonedInputValue(date, prev.timeZone) }));
+    };
+
+    const selectedFeature = useMemo(
+        () => (selected && geojson ? geojson.features.find(f => f.id === selected.id) : null),
+        [selected, geojson]
+    );
+
+    // Mirror the view in the URL. A change to what is shown gets a history entry, except
+    // that bursts (scrubbing, typing a time) share one; panning only updates the current entry.
+    useEffect(() => {
+        const selectedId = selected?.id ?? null;
+        const stateKey = encodeUrlState("", { filters, selectedId });
+        const search = encodeUrlState(window.location.search, { ...viewport, filters, selectedId });
+        const last = historyRef.current;
+        const now = Date.now();
+        historyRef.current = { stateKey, at: stateKey === last.stateKey ? last.at : now };
+        if (search === window.location.search) return;
+
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (last.stateKey !== null && stateKey !== last.stateKey && now - last.at > HISTORY_COALESCE_MS) {
+            window.history.pushState(null, "", url);
+        } else {
+            window.history.replaceState(null, "", url);
+        }
+    }, [viewport, filters, selected]);
+
+    // Back and forward restore the view stored in the entry
+    useEffect(() => {
+        const handlePopState = () => {
+            const state = decodeUrlState(window.location.search);
+            setFilters(prev => ({ ...prev, ...state.filters }));
+            setSelected(state.selectedId ? { id: state.selectedId, latlng: null, seq: ++selectSeqRef.current } : null);
+            if (state.center) mapRef.current?.setView(state.center, state.zoom ?? mapRef.current.getZoom(), { animate: false });
+        };
+        window.addEventListener("popstate", handlePopState);
+        return () => window.removeEventListener("popstate", handlePopState);
+    }, []);
+
+    // Detail panels opened from a link point at the middle of the segment
+    const popupPosition = useMemo(() => {
+        if (!selectedFeature) return null;
+        if (selected.latlng) return selected.latlng;
+        const point = lineMidpoint(selectedFeature.geometry);
+        return point && [point[1], point[0]];
+    }, [selected, selectedFeature]);
 
-            return { ...f, properties: { ...props, _isActive: isActive, _coverage: coverage } };
+    // Keyboard users land back on the map when the panel closes
+    const handleCloseDetails = () => {
+        setSelected(null);
+        mapRef.current?.getContainer().focus();
+    };
+
+    // Downloads the segments drawn in the current view, with the status they are drawn with
+    const handleExport = (format) => {
+        const bbox = toBbox(mapRef.current.getBounds());
+        const shown = (geojson?.features || []).filter(f => {
+            const featureStatus = statuses?.[f.id];
+            if (!featureStatus || (!filters.showInactiveDim && !featureStatus.isActive)) return false;
+            const bounds = geometryBounds(f.geometry);
+            return bounds && bboxOverlaps(bounds, bbox);
         });
+        if (shown.length === 0) {
+            setStatus("Nothing to export in this view");
+            return;
+        }
+        const { mode } = evaluationRequest;
+        const context = {
+            mode,
+            evaluatedAt: mode === 'at' || mode === 'stay' ? evaluationRequest.atTime.toISOString() : null,
+            rangeStart: mode === 'range' ? evaluationRequest.rangeStart.toISOString() : null,
+            rangeEnd: mode === 'range' ? evaluationRequest.rangeEnd.toISOString() : null,
+            timeZone: filters.timeZone,
+            permits: filters.permits,
+            vehicle: filters.vehicle,
+            exportedAt: new Date().toISOString(),
+        };
+        const colorFor = (feature, featureStatus) => styleForFeature(featureStatus, filters.showInactiveDim, mode, palette).color;
+        const { content, mimeType, extension } = exportView(format, shown, statuses, context, colorFor);
+        downloadFile(content, mimeType, `sf-parking-${mode}-${context.exportedAt.slice(0, 16).replace(/:/g, "")}.${extension}`);
+        setStatus(`Exported ${shown.length} segments`);
+    };
+
+    // Highlighting an entry frames all of its segments
+    const handleHighlightIssue = (entry) => {
+        setHighlight(entry);
+        if (!entry || !geojson) return;
+        const ids = new Set(entry.featureIds);
+        const geometries = geojson.features.filter(f => ids.has(f.id)).map(f => f.geometry).filter(Boolean);
+        const bounds = geometryBounds({ type: "GeometryCollection", geometries });
+        if (bounds && mapRef.current) {
+            mapRef.current.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { maxZoom: 18 });
+        }
+    };
 
-        const filteredFeatures = filters.showInactiveDim
-            ? featuresWithStatus
-            : featuresWithStatus.filter(f => f.properties._isActive);
+    const handleDownloadDiagnostics = () => {
+        const { content, mimeType, extension } = exportDiagnostics(diagnostics);
+        downloadFile(content, mimeType, `sf-parking-diagnostics-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    };
+
+    // Results joined with their segments, for labels and highlighting
+    const rankedResults = useMemo(() => {
+        if (!search.active || !search.destination || !geojson) return [];
+        const byId = new Map(geojson.features.map(f => [f.id, f]));
+        return searchResults
+            .filter(result => byId.has(result.id))
+            .map(result => {
+                const f = byId.get(result.id);
+                return { ...result, geometry: f.geometry, label: f.properties.regulation || f.regulation.category };
+            });
+    }, [search, searchResults, geojson]);
+
+    const handleMapClick = (latlng) => {
+        if (!search.active) return;
+        setSearch(prev => ({ ...prev, destination: [latlng.lng, latlng.lat] }));
+        mapRef.current?.panTo(latlng);
+    };
+
+    // Searching is about arriving, so it uses At mode's time
+    const handleArrivalChange = (value) => {
+        setFilters(prev => ({ ...prev, simulationEnabled: true, simulationMode: 'at', atTime: value }));
+    };
 
-        return { type: "FeatureCollection", features: filteredFeatures };
-    }, [geojson, filters]);
+    const handleSelectResult = (result) => {
+        const bounds = geometryBounds(result.geometry);
+        if (bounds && mapRef.current) {
+            mapRef.current.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { maxZoom: 18 });
+        }
+    };
 
     return (
-        <div style={{ width: "100vw", height: "100vh", position: "relative" }}>
-            <MapContainer ref={mapRef} center={[37.7749, -122.4194]} zoom={15} className="map" style={{ height: "100%", width: "100%" }}>
+        <div
+            style={{ width: "100vw", height: "100vh", position: "relative" }}
+            onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+            }}
+            onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+            }}
+            onDrop={handleDrop}
+        >
+            <MapContainer ref={mapRef} center={URL_STATE.center || DEFAULT_CENTER} zoom={URL_STATE.zoom ?? DEFAULT_ZOOM} className="map" style={{ height: "100%", width: "100%" }}>
                 <TileLayer
                     url={`https://api.mapbox.com/styles/v1/mapbox/light-v11/tiles/{z}/{x}/{y}?access_token=${MAPBOX_TOKEN}`}
                     attribution='© <a href="https://www.mapbox.com/about/maps/">Mapbox</a> © <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
                     tileSize={512}
                     zoomOffset={-1}
                 />
-                {processedGeojson && (
-                    <GeoJSON
-                        key={JSON.stringify(filters)}
-                        data={processedGeojson}
-                        style={(f) => {
-                            const currentMode = filters.simulationEnabled ? filters.simulationMode : 'now';
-                            return styleForFeature(
-                                f,
-                                filters.showInactiveDim,
-                                currentMode === 'range',
-                                currentMode === 'at'
-                            );
-                        }}
-                        onEachFeature={(f, layer) => {
-                            const p = f.properties || {};
-                            const statusText = p._isActive ? 'ACTIVE' : 'INACTIVE';
-                            const coverageText = p._coverage !== undefined
-                                ? `<br/>Coverage: ${(p._coverage * 100).toFixed(0)}%`
-                                : '';
-                            layer.bindPopup(`
-                                <b>${classifyRegulation(p)} - ${statusText}</b><br/>
-                                ${p.regulation || "(no text)"}<br/>
-                                ${coverageText}
-                                <hr/>
-                                Days: ${p.days || ""}<br/>
-                                Hours: ${p.hours || ""}<br/>
-                                Limit: ${p.hrlimit || ""}<br/>
-                                RPP: ${[p.rpparea1, p.rpparea2, p.rpparea3].filter(Boolean).join(", ") || p.rpp_sym || p.sym_rpp2 || ""}<br/>
-                                Detail: ${p.regdetails || ""}<br/>
-                                Exceptions: ${p.exceptions || ""}<br/>
-                            `);
-                        }}
+                {geojson && (
+                    <RegulationLayer
+                        features={geojson.features}
+                        statuses={statuses}
+                        filters={filters}
+                        palette={palette}
+                        onSelect={(id, latlng) => setSelected({ id, latlng, seq: ++selectSeqRef.current })}
                     />
                 )}
-                <ViewportListener onMove={(b) => debouncedLoad({ bounds: b })} />
+                {search.active && search.destination && (
+                    <SearchOverlay destination={search.destination} results={rankedResults} />
+                )}
+                {showDiagnostics && highlightedFeatures.length > 0 && (
+                    <HighlightOverlay features={highlightedFeatures} color={DIAGNOSTIC_COLOR} />
+                )}
+                {segmentList.open && listHighlightFeatures.length > 0 && (
+                    <HighlightOverlay features={listHighlightFeatures} color={LIST_HIGHLIGHT_COLOR} />
+                )}
+                {selectedFeature && popupPosition && (
+                    // Leaflet closes the previous popup on the same click, so each selection gets a fresh one
+                    <Popup
+                        key={selected.seq}
+                        position={popupPosition}
+                        maxWidth={320}
+                        minWidth={260}
+                        maxHeight={Math.round(window.innerHeight * 0.6)}
+                        eventHandlers={{ remove: () => setSelected(prev => (prev?.seq === selected.seq ? null : prev)) }}
+                    >
+                        <SegmentDetails
+                            feature={selectedFeature}
+                            status={statuses?.[selectedFeature.id]}
+                            filters={filters}
+                            holidayCalendar={holidayCalendar}
+                            onParkHere={(feature) => handleParkHere(feature)}
+                            onClose={handleCloseDetails}
+                        />
+                    </Popup>
+                )}
+                {parked && <ParkedCarMarker location={parked.location} />}
+                <ViewportListener onMove={handleViewportMove} />
+                <MapClickListener onClick={handleMapClick} />
             </MapContainer>
 
-            <TimeFilterControl filters={filters} setFilters={setFilters} status={status} />
+            <SegmentList
+                open={segmentList.open}
+                onToggle={() => {
+                    setSegmentList(prev => ({ ...prev, open: !prev.open }));
+                    setListHighlightId(null);
+                }}
+                rows={listRows}
+                selectedId={selected?.id ?? null}
+                availability={segmentList.availability}
+                onAvailabilityChange={(value) => setSegmentList(prev => ({ ...prev, availability: value }))}
+                sort={segmentList.sort}
+                onSortChange={(value) => setSegmentList(prev => ({ ...prev, sort: value }))}
+                onHighlight={handleListHighlight}
+                onSelect={handleListSelect}
+                onFreeze={handleListFreeze}
+            />
+
+            {showDiagnostics ? (
+                // Takes the search panel's place
+                <DiagnosticsPanel
+                    entries={diagnostics}
+                    highlighted={highlight?.key ?? null}
+                    onHighlight={handleHighlightIssue}
+                    onSelectFeature={(id) => setSelected({ id, latlng: null, seq: ++selectSeqRef.current })}
+                    onDownload={handleDownloadDiagnostics}
+                    onClose={() => {
+                        setShowDiagnostics(false);
+                        setHighlight(null);
+                    }}
+                />
+            ) : (
+                <ParkingSearch
+                    search={search}
+                    setSearch={setSearch}
+                    arrival={filters.atTime}
+                    onArrivalChange={handleArrivalChange}
+                    results={rankedResults}
+                    onSelect={handleSelectResult}
+                />
+            )}
+
+            <TimeFilterControl
+                filters={filters}
+                setFilters={setFilters}
+                status={status}
+                permitAreas={permitAreas}
+                holidayCalendar={holidayCalendar}
+                dataSources={dataSources}
+                dataSource={dataSource}
+                onDataSourceChange={(id) => reloadFrom(id)}
+                onLimitChange={handleLimitChange}
+                onImportFile={handleImportFile}
+                onExport={handleExport}
+                onOpenRules={() => setShowRules(true)}
+                onOpenDiagnostics={() => {
+                    setSearch(prev => ({ ...prev, active: false }));
+                    setShowDiagnostics(true);
+                }}
+            />
 
             <Legend
                 isRangeMode={filters.simulationEnabled && filters.simulationMode === 'range'}
                 isAtMode={filters.simulationEnabled && filters.simulationMode === 'at'}
+                isStayMode={filters.simulationEnabled && filters.simulationMode === 'stay'}
+                palette={palette}
             />
 
+            {showRules && (
+                <ClassificationSettings
+                    ruleSet={ruleSet}
+                    onApply={setRuleSet}
+                    onClose={() => setShowRules(false)}
+                />
+            )}
+
+            {showTimeline && timeline && (
+                <TimelineScrubber
+                    timeline={timeline}
+                    value={evaluationRequest.atTime}
+                    span={timelineSpan}
+                    onSpanChange={setTimelineSpan}
+                    onChange={handleTimelineChange}
+                    availability={availability?.start === timeline.start ? availability.fractions : null}
+                    timeZone={filters.timeZone}
+                />
+            )}
+
             <LocationButton onClick={handleGoToLocation} />
 
+            <ParkedCar
+                session={parked}
+                timeZone={filters.timeZone}
+                onParkAtLocation={handleParkAtLocation}
+                onFindCar={handleFindCar}
+                onEnd={() => setParked(null)}
+                onNotified={handleReminderShown}
+            />
+
             {isLoading && <LoadingSpinner />}
+
+            {isDragging && <DropOverlay />}
+
+            <LoadBanner progress={progress} truncated={truncated} limit={filters.limit} />
         </div>
     );
 }
\ No newline at end of file
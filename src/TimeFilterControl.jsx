@@ -1,4 +1,9 @@
 import React from 'react';
+import { SF_TIME_ZONE, browserTimeZone, fromZonedInputValue, toZonedInputValue, zoneAbbreviation } from './timezone';
+import { VEHICLE_PROFILES } from './vehicles';
+import { holidaysBetween, sfDayKey } from './holidays';
+import { EXPORT_FORMATS } from './export';
+import { MAX_LIMIT, MIN_LIMIT, clampLimit } from './data-providers';
 
 const controlBoxStyle = {
     position: 'absolute',
@@ -77,13 +82,137 @@ const inputStyle = {
     fontSize: '13px',
 };
 
-export default function TimeFilterControl({ filters, setFilters, status }) {
-    const { simulationEnabled, simulationMode, atTime, rangeStart, rangeEnd } = filters;
+const chipRowStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+};
+
+const chipStyle = (isActive) => ({
+    padding: '2px 8px',
+    border: `1px solid ${isActive ? '#2196F3' : '#ccc'}`,
+    borderRadius: '10px',
+    background: isActive ? '#2196F3' : 'white',
+    color: isActive ? 'white' : '#555',
+    fontSize: '12px',
+    cursor: 'pointer',
+});
+
+const holidayNoteStyle = {
+    fontSize: '12px',
+    color: '#6a1b9a',
+    background: '#f3e5f5',
+    borderRadius: '4px',
+    padding: '6px 8px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+};
+
+const linkButtonStyle = {
+    alignSelf: 'flex-start',
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#2196F3',
+    fontSize: '11px',
+    cursor: 'pointer',
+    textDecoration: 'underline',
+};
+
+const zoneNoteStyle = {
+    fontSize: '11px',
+    color: '#777',
+};
+
+// Zones offered in the selector: San Francisco first, then the browser's own zone and UTC
+function zoneOptions() {
+    const zones = [[SF_TIME_ZONE, 'San Francisco']];
+    const local = browserTimeZone();
+    if (local !== SF_TIME_ZONE) zones.push([local, 'My time zone']);
+    if (local !== 'UTC') zones.push(['UTC', 'UTC']);
+    return zones;
+}
+
+export default function TimeFilterControl({
+    filters, setFilters, status, permitAreas = [], holidayCalendar,
+    dataSources = [], dataSource, onDataSourceChange, onLimitChange, onImportFile, onExport, onOpenRules, onOpenDiagnostics,
+}) {
+    const { simulationEnabled, simulationMode, atTime, rangeStart, rangeEnd, timeZone, permits, vehicle } = filters;
+    const selectedStart = fromZonedInputValue(simulationMode === 'range' ? rangeStart : atTime, timeZone);
+    const selectedEnd = simulationMode === 'range' ? fromZonedInputValue(rangeEnd, timeZone) : selectedStart;
+    const holidays = holidayCalendar ? holidaysBetween(holidayCalendar, selectedStart, selectedEnd) : [];
+    const shownAreas = [...new Set([...permitAreas, ...permits])].sort();
+    const zoneLabel = `${zoneAbbreviation(fromZonedInputValue(simulationMode === 'range' ? rangeStart : atTime, timeZone), timeZone)} (${timeZone})`;
 
     const handleFilterChange = (key, value) => {
         setFilters(prev => ({ ...prev, [key]: value }));
     };
 
+    const togglePermit = (area) => {
+        setFilters(prev => ({
+            ...prev,
+            permits: prev.permits.includes(area)
+                ? prev.permits.filter(a => a !== area)
+                : [...prev.permits, area],
+        }));
+    };
+
+    const handlePermitInput = (e) => {
+        if (e.key !== 'Enter') return;
+        const area = e.target.value.trim().toUpperCase();
+        if (area && !permits.includes(area)) togglePermit(area);
+        e.target.value = '';
+    };
+
+    // The cap is applied when the field is left or Enter is pressed, not on every keystroke
+    const commitLimit = (input) => {
+        const limit = clampLimit(input.value === '' ? filters.limit : input.value);
+        input.value = String(limit);
+        if (limit !== filters.limit) onLimitChange(limit);
+    };
+
+    // Custom days are simply dropped; computed holidays are listed as "enforce anyway"
+    const handleEnforceHoliday = (holiday) => {
+        setFilters(prev => {
+            const { added, removed } = prev.holidayOverrides;
+            return {
+                ...prev,
+                holidayOverrides: holiday.custom
+                    ? { added: added.filter(h => h.date !== holiday.date), removed }
+                    : { added, removed: [...removed, holiday.date] },
+            };
+        });
+    };
+
+    const handleMarkHoliday = () => {
+        const date = sfDayKey(selectedStart);
+        setFilters(prev => {
+            const { added, removed } = prev.holidayOverrides;
+            return {
+                ...prev,
+                holidayOverrides: {
+                    added: [...added.filter(h => h.date !== date), { date, name: 'Custom holiday' }],
+                    removed: removed.filter(d => d !== date),
+                },
+            };
+        });
+    };
+
+    // Re-express the selected times in the new zone so they keep pointing at the same instants
+    const handleTimeZoneChange = (nextZone) => {
+        setFilters(prev => {
+            const convert = (value) => toZonedInputValue(fromZonedInputValue(value, prev.timeZone), nextZone);
+            return {
+                ...prev,
+                timeZone: nextZone,
+                atTime: convert(prev.atTime),
+                rangeStart: convert(prev.rangeStart),
+                rangeEnd: convert(prev.rangeEnd),
+            };
+        });
+    };
+
     const handleToggleSimulation = () => {
         handleFilterChange('simulationEnabled', !simulationEnabled);
     };
@@ -137,6 +266,13 @@ export default function TimeFilterControl({ filters, setFilters, status }) {
                         >
                             Range
                         </button>
+                        <button
+                            style={segmentButtonStyle(simulationMode === 'stay')}
+                            onClick={() => handleFilterChange('simulationMode', 'stay')}
+                            title="How long can I stay if I park at this time?"
+                        >
+                            Stay
+                        </button>
                     </div>
 
                     {simulationMode === 'at' && (
@@ -151,6 +287,18 @@ export default function TimeFilterControl({ filters, setFilters, status }) {
                         </div>
                     )}
 
+                    {simulationMode === 'stay' && (
+                        <div style={inputGroupStyle}>
+                            <label style={inputLabelStyle}>Park at:</label>
+                            <input
+                                type="datetime-local"
+                                value={atTime}
+                                onChange={(e) => handleFilterChange('atTime', e.target.value)}
+                                style={inputStyle}
+                            />
+                        </div>
+                    )}
+
                     {simulationMode === 'range' && (
                         <>
                             <div style={inputGroupStyle}>
@@ -173,9 +321,156 @@ export default function TimeFilterControl({ filters, setFilters, status }) {
                             </div>
                         </>
                     )}
+
+                    {holidays.length > 0 ? (
+                        <div style={holidayNoteStyle} role="status">
+                            {holidays.map(holiday => (
+                                <div key={holiday.date}>
+                                    <b>{holiday.name}</b> ({holiday.date}): holiday-exempt limits
+                                    {holiday.meters ? ' and meters' : ''} not enforced.
+                                    <br />
+                                    <button style={linkButtonStyle} onClick={() => handleEnforceHoliday(holiday)}>
+                                        {holiday.custom ? 'Remove custom holiday' : 'Enforce as a normal day'}
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        !isNaN(selectedStart) && (
+                            <button style={linkButtonStyle} onClick={handleMarkHoliday}>
+                                Treat {sfDayKey(selectedStart)} as a holiday
+                            </button>
+                        )
+                    )}
+
+                    <div style={inputGroupStyle}>
+                        <label style={inputLabelStyle}>Time Zone:</label>
+                        <select
+                            value={timeZone}
+                            onChange={(e) => handleTimeZoneChange(e.target.value)}
+                            style={inputStyle}
+                        >
+                            {zoneOptions().map(([zone, label]) => (
+                                <option key={zone} value={zone}>{label} ({zone})</option>
+                            ))}
+                        </select>
+                        <span style={zoneNoteStyle}>
+                            Times shown in {zoneLabel}. Rules follow San Francisco time.
+                        </span>
+                    </div>
                 </>
             )}
 
+            <div style={inputGroupStyle}>
+                <label style={inputLabelStyle}>Vehicle:</label>
+                <select
+                    value={vehicle}
+                    onChange={(e) => handleFilterChange('vehicle', e.target.value)}
+                    style={inputStyle}
+                >
+                    {VEHICLE_PROFILES.map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={inputGroupStyle}>
+                <label style={inputLabelStyle}>My RPP permit areas:</label>
+                {shownAreas.length > 0 && (
+                    <div style={chipRowStyle}>
+                        {shownAreas.map(area => (
+                            <button
+                                key={area}
+                                style={chipStyle(permits.includes(area))}
+                                onClick={() => togglePermit(area)}
+                                aria-pressed={permits.includes(area)}
+                            >
+                                {area}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <input
+                    type="text"
+                    placeholder="Add area, e.g. Q (Enter)"
+                    onKeyDown={handlePermitInput}
+                    style={inputStyle}
+                />
+                {permits.length > 0 && (
+                    <span style={zoneNoteStyle}>
+                        Time limits in area {permits.join(', ')} are shown as unrestricted.
+                    </span>
+                )}
+            </div>
+
+            {dataSources.length > 0 && (
+                <div style={inputGroupStyle}>
+                    <label style={inputLabelStyle}>Data source:</label>
+                    <select
+                        value={dataSource}
+                        onChange={(e) => onDataSourceChange(e.target.value)}
+                        style={inputStyle}
+                    >
+                        {dataSources.map(source => (
+                            <option key={source.id} value={source.id}>{source.label}</option>
+                        ))}
+                    </select>
+                    <label style={inputLabelStyle}>
+                        Max segments per request:{' '}
+                        <input
+                            type="number"
+                            min={MIN_LIMIT}
+                            max={MAX_LIMIT}
+                            step="1000"
+                            key={filters.limit}
+                            defaultValue={filters.limit}
+                            onBlur={(e) => commitLimit(e.target)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') commitLimit(e.target);
+                            }}
+                            style={{ ...inputStyle, width: '80px' }}
+                        />
+                    </label>
+                    <label style={zoneNoteStyle}>
+                        Import a GeoJSON file (or drop one on the map):{' '}
+                        <input
+                            type="file"
+                            accept=".geojson,.json,application/geo+json,application/json"
+                            onChange={(e) => {
+                                const [file] = e.target.files;
+                                if (file) onImportFile(file);
+                                e.target.value = '';
+                            }}
+                            style={{ fontSize: '11px', maxWidth: '100%' }}
+                        />
+                    </label>
+                </div>
+            )}
+
+            {onExport && (
+                <div style={inputGroupStyle}>
+                    <label style={inputLabelStyle}>Export segments in view:</label>
+                    <div style={segmentControlStyle}>
+                        {EXPORT_FORMATS.map(([format, label]) => (
+                            <button key={format} style={segmentButtonStyle(false)} onClick={() => onExport(format)}>
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {onOpenRules && (
+                <button style={linkButtonStyle} onClick={onOpenRules}>
+                    Classification rules…
+                </button>
+            )}
+            {onOpenDiagnostics && (
+                <button style={linkButtonStyle} onClick={onOpenDiagnostics}>
+                    Data diagnostics…
+                </button>
+            )}
+
             <div style={{ fontSize: '11px', textAlign: 'center', opacity: 0.6, marginTop: '4px' }}>
                 {status}
             </div>
@@ -0,0 +1,167 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const panelStyle = {
+    position: 'absolute',
+    bottom: '12px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: 1000,
+    background: 'rgba(255,255,255,0.95)',
+    padding: '8px 12px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    fontSize: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    width: 'min(560px, calc(100vw - 48px))',
+    boxSizing: 'border-box',
+};
+
+const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+};
+
+const buttonStyle = {
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    background: '#2196F3',
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: '12px',
+    cursor: 'pointer',
+};
+
+const selectStyle = {
+    padding: '2px 4px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '12px',
+};
+
+// Minutes of map time per second of playback
+const SPEEDS = [
+    [15, '15 min/s'],
+    [60, '1 h/s'],
+    [180, '3 h/s'],
+    [720, '12 h/s'],
+];
+
+const FRAME_MS = 200;
+const LABEL_EVERY = 24; // samples between axis labels: 6 hours by day, 1 day by week
+
+function axisLabel(ms, span, timeZone) {
+    // Week windows start mid-day, so their labels carry the hour too
+    const options = span === 'week' ? { weekday: 'short', hour: 'numeric' } : { hour: 'numeric' };
+    return new Date(ms).toLocaleString('en-US', { timeZone, ...options });
+}
+
+// Parkable fraction over the window, with a marker at the selected time
+function Sparkline({ fractions, position }) {
+    const points = fractions
+        .map((fraction, i) => (fraction === null ? null : `${i},${1 - fraction}`))
+        .filter(Boolean)
+        .join(' ');
+    return (
+        <svg
+            viewBox={`0 0 ${Math.max(1, fractions.length - 1)} 1`}
+            preserveAspectRatio="none"
+            style={{ width: '100%', height: '32px', display: 'block', background: '#f5f5f5', borderRadius: '4px' }}
+            aria-hidden="true"
+        >
+            <polyline points={points} fill="none" stroke="#2196F3" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            <line
+                x1={position} x2={position} y1="0" y2="1"
+                stroke="#d81b60" strokeWidth="1.5" vectorEffect="non-scaling-stroke"
+            />
+        </svg>
+    );
+}
+
+/**
+ * Timeline across the bottom of the map for At mode: a slider over the day or week
+ * around the selected time, a play button that animates through it, and a sparkline
+ * of how much of the visible area allows parking at each point.
+ */
+export default function TimelineScrubber({ timeline, value, span, onSpanChange, onChange, availability, timeZone }) {
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(60);
+    const latestRef = useRef({ value, timeline, onChange });
+
+    useEffect(() => {
+        latestRef.current = { value, timeline, onChange };
+    });
+
+    useEffect(() => {
+        if (!isPlaying) return;
+        const timer = setInterval(() => {
+            const { value: current, timeline: win, onChange: change } = latestRef.current;
+            const next = current.getTime() + speed * 60000 * (FRAME_MS / 1000);
+            const last = win.times[win.times.length - 1];
+            change(new Date(Math.min(next, last)));
+            if (next >= last) setIsPlaying(false);
+        }, FRAME_MS);
+        return () => clearInterval(timer);
+    }, [isPlaying, speed]);
+
+    const { times, start, stepMs } = timeline;
+    const position = Math.min(times.length - 1, Math.max(0, (value.getTime() - start) / stepMs));
+    const fractions = availability?.length === times.length ? availability : null;
+    const current = fractions?.[Math.round(position)];
+
+    const togglePlay = () => {
+        // Playing from the end starts over
+        if (!isPlaying && Math.round(position) >= times.length - 1) onChange(new Date(start));
+        setIsPlaying(!isPlaying);
+    };
+
+    return (
+        <div style={panelStyle} role="group" aria-label="Timeline">
+            <div style={rowStyle}>
+                <button style={{ ...buttonStyle, width: '64px' }} onClick={togglePlay}>
+                    {isPlaying ? 'Pause' : 'Play'}
+                </button>
+                <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={selectStyle} aria-label="Playback speed">
+                    {SPEEDS.map(([minutes, label]) => (
+                        <option key={minutes} value={minutes}>{label}</option>
+                    ))}
+                </select>
+                <select value={span} onChange={(e) => onSpanChange(e.target.value)} style={selectStyle} aria-label="Timeline span">
+                    <option value="day">24 hours</option>
+                    <option value="week">7 days</option>
+                </select>
+                {fractions && (
+                    <span style={{ marginLeft: 'auto', color: '#555' }}>
+                        {current === null ? 'No blocks in view' : `${Math.round(current * 100)}% of visible blocks parkable`}
+                    </span>
+                )}
+            </div>
+
+            {fractions && <Sparkline fractions={fractions} position={position} />}
+
+            <input
+                type="range"
+                min={0}
+                max={times.length - 1}
+                step={1}
+                value={Math.round(position)}
+                onChange={(e) => {
+                    setIsPlaying(false);
+                    onChange(new Date(times[Number(e.target.value)]));
+                }}
+                aria-label="Time"
+                aria-valuetext={value.toLocaleString('en-US', { timeZone, weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                style={{ width: '100%', margin: 0 }}
+            />
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', color: '#777' }}>
+                {times.filter((_, i) => i % LABEL_EVERY === 0).map(ms => (
+                    <span key={ms}>{axisLabel(ms, span, timeZone)}</span>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,175 @@
+// Rule table that classifies posted regulations into categories and colors.
+//
+// A rule matches a regular expression against one field of a feature's properties;
+// the matching rule with the highest priority decides the category (which drives
+// the parking logic) and, optionally, a color and label of its own for the map.
+// Segments no rule matches are "Unknown". Rule sets are plain JSON so users can
+// edit, import and export them, and so they can be sent to the evaluation worker.
+
+/** Categories the parking logic understands, in legend order. */
+export const CATEGORIES = ['NoRegulation', 'TimeLimit', 'Metered', 'CannotPark', 'Unknown'];
+
+/** Feature properties a rule can match. */
+export const RULE_FIELDS = ['regulation', 'days', 'hours', 'hrlimit', 'exceptions', 'regdetails'];
+
+/**
+ * @typedef {object} ClassificationRule
+ * @property {string} id
+ * @property {string} label Shown in the legend when the rule has its own color.
+ * @property {string} field One of RULE_FIELDS.
+ * @property {string} pattern Regular expression, matched case-insensitively.
+ * @property {string} category One of CATEGORIES.
+ * @property {string | null} color "#RRGGBB", or null to use the category's color.
+ * @property {number} priority Higher wins; ties go to the rule listed first.
+ */
+
+/**
+ * @typedef {object} RuleSet
+ * @property {number} version
+ * @property {Object<string, {label: string, color: string}>} categories Legend entry for every category.
+ * @property {ClassificationRule[]} rules
+ */
+
+/** @type {RuleSet} */
+export const DEFAULT_RULE_SET = {
+    version: 1,
+    categories: {
+        NoRegulation: { label: 'No regulation', color: '#2196F3' },
+        TimeLimit: { label: 'Time limited parking', color: '#FFC107' },
+        Metered: { label: 'Metered', color: '#00897B' },
+        CannotPark: { label: 'Cannot park', color: '#d73027' },
+        Unknown: { label: 'Unknown/Other', color: '#999999' },
+    },
+    rules: [
+        // Rules aimed at other vehicles, as an ordinary car sees them (see vehicles.js)
+        { id: 'oversized', label: 'Oversized vehicle restriction', field: 'regulation', pattern: 'over-?sized?|vehicles?\\s+over\\s+\\d+', category: 'NoRegulation', color: null, priority: 100 },
+        { id: 'motorcycle', label: 'Motorcycle parking', field: 'regulation', pattern: 'motorcycle', category: 'CannotPark', color: '#6D4C41', priority: 95 },
+        { id: 'tour-bus', label: 'Tour bus zone', field: 'regulation', pattern: 'tour\\s*bus|bus\\s*(zone|loading|only|parking)', category: 'CannotPark', color: '#5E35B1', priority: 90 },
+        { id: 'car-share', label: 'Car share', field: 'regulation', pattern: 'car\\s*-?\\s*share|zipcar|getaround', category: 'CannotPark', color: '#00ACC1', priority: 90 },
+        { id: 'no-parking', label: 'No parking / tow-away', field: 'regulation', pattern: 'no\\s*parking|tow-?away|no\\s*stopping', category: 'CannotPark', color: null, priority: 80 },
+        // Enforced only during the posted hours, like any other rule
+        { id: 'loading', label: 'Loading zone', field: 'regulation', pattern: 'loading|commercial|truck', category: 'CannotPark', color: '#EF6C00', priority: 70 },
+        { id: 'taxi', label: 'Taxi zone', field: 'regulation', pattern: 'taxi', category: 'CannotPark', color: null, priority: 70 },
+        { id: 'permit-only', label: 'Permit only', field: 'regulation', pattern: 'permit\\s*only|government', category: 'CannotPark', color: null, priority: 70 },
+        { id: 'metered', label: 'Metered', field: 'regulation', pattern: '\\bmeter(ed|s)?\\b|pay\\s*(or|&)\\s*permit|pay\\s*station', category: 'Metered', color: null, priority: 60 },
+        { id: 'hour-limit', label: 'Posted time limit', field: 'hrlimit', pattern: '\\S', category: 'TimeLimit', color: null, priority: 50 },
+        { id: 'posted-hours', label: 'Posted hours', field: 'hours', pattern: '\\S', category: 'TimeLimit', color: null, priority: 50 },
+        { id: 'time-limit-text', label: 'Time limit in text', field: 'regulation', pattern: 'time\\s*limit|\\b\\d+\\s*(min|hour|hr|h)\\b', category: 'TimeLimit', color: null, priority: 50 },
+        { id: 'blank', label: 'No regulation text', field: 'regulation', pattern: '^\\s*$', category: 'NoRegulation', color: null, priority: 10 },
+    ],
+};
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Checks a pattern without throwing.
+ * @param {string} pattern
+ * @returns {string | null} The syntax error, or null if the pattern compiles.
+ */
+export function patternError(pattern) {
+    try {
+        new RegExp(pattern, 'i');
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/**
+ * Validates a rule set, e.g. one read from a file, and fills in optional fields.
+ * @param {*} data Parsed JSON.
+ * @returns {RuleSet}
+ * @throws {Error} Naming the first problem found.
+ */
+export function validateRuleSet(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.rules)) {
+        throw new Error('expected an object with a "rules" list');
+    }
+    const categories = {};
+    for (const category of CATEGORIES) {
+        const entry = { ...DEFAULT_RULE_SET.categories[category], ...data.categories?.[category] };
+        if (!COLOR.test(entry.color)) throw new Error(`category ${category}: color must look like #RRGGBB`);
+        categories[category] = { label: String(entry.label), color: entry.color };
+    }
+    const ids = new Set();
+    const rules = data.rules.map((rule, i) => {
+        const where = `rule ${i + 1}${rule?.label ? ` (${rule.label})` : ''}`;
+        if (!RULE_FIELDS.includes(rule?.field)) throw new Error(`${where}: field must be one of ${RULE_FIELDS.join(', ')}`);
+        if (!CATEGORIES.includes(rule.category)) throw new Error(`${where}: category must be one of ${CATEGORIES.join(', ')}`);
+        if (typeof rule.pattern !== 'string') throw new Error(`${where}: pattern must be a string`);
+        const error = patternError(rule.pattern);
+        if (error) throw new Error(`${where}: ${error}`);
+        if (rule.color != null && !COLOR.test(rule.color)) throw new Error(`${where}: color must look like #RRGGBB`);
+        const priority = Number(rule.priority ?? 0);
+        if (!Number.isFinite(priority)) throw new Error(`${where}: priority must be a number`);
+        let id = String(rule.id || `rule-${i + 1}`);
+        while (ids.has(id)) id += '-copy';
+        ids.add(id);
+        return {
+            id,
+            label: String(rule.label || rule.pattern),
+            field: rule.field,
+            pattern: rule.pattern,
+            category: rule.category,
+            color: rule.color || null,
+            priority,
+        };
+    });
+    return { version: 1, categories, rules };
+}
+
+/**
+ * Prepares a rule set for matching: highest priority first, invalid patterns dropped.
+ * @param {RuleSet} ruleSet
+ * @returns {Array<ClassificationRule & {regex: RegExp}>}
+ */
+export function compileRules(ruleSet) {
+    return ruleSet.rules
+        .map((rule, index) => ({ rule, index }))
+        .filter(({ rule }) => RULE_FIELDS.includes(rule.field) && CATEGORIES.includes(rule.category) && !patternError(rule.pattern))
+        .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index)
+        .map(({ rule }) => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+}
+
+/**
+ * Finds the rule that classifies a feature.
+ * @param {object} props The feature properties.
+ * @param {Array<ClassificationRule & {regex: RegExp}>} rules Compiled rules (see compileRules).
+ * @returns {ClassificationRule | null} null when no rule matches.
+ */
+export function matchRule(props, rules) {
+    return rules.find(rule => rule.regex.test(String(props?.[rule.field] ?? ''))) || null;
+}
+
+/**
+ * Colors and legend entries of a rule set.
+ * @param {RuleSet} ruleSet
+ * @returns {{
+ *   categoryColor: (category: string) => string,
+ *   colorFor: (category: string, ruleId: string | null) => string,
+ *   legendItems: () => Array<[string, string]>,
+ * }} `colorFor` gives a rule's own color while the segment still has the rule's
+ *   category (vehicle profiles, permits and meter data can change it).
+ */
+export function createPalette(ruleSet) {
+    const byId = new Map(ruleSet.rules.map(rule => [rule.id, rule]));
+    const categoryColor = (category) => (ruleSet.categories[category] || ruleSet.categories.Unknown).color;
+    return {
+        categoryColor,
+        colorFor: (category, ruleId) => {
+            const rule = byId.get(ruleId);
+            return rule?.color && rule.category === category ? rule.color : categoryColor(category);
+        },
+        legendItems: () => {
+            const items = CATEGORIES.map(category => [ruleSet.categories[category].color, ruleSet.categories[category].label]);
+            const seen = new Set(items.map(item => item.join('|')));
+            for (const rule of [...ruleSet.rules].sort((a, b) => b.priority - a.priority)) {
+                const item = [rule.color, rule.label];
+                if (!rule.color || seen.has(item.join('|'))) continue;
+                seen.add(item.join('|'));
+                items.push(item);
+            }
+            return items;
+        },
+    };
+}
@@ -0,0 +1,254 @@
+import { bboxOverlaps, geometryBounds } from './geo.js';
+
+/**
+ * Where the map gets its data. Every provider serves the same three layers as
+ * GeoJSON FeatureCollections: "regulations" (required), and the supplementary
+ * "sweeping" and "meters" layers.
+ * @typedef {object} DataProvider
+ * @property {string} id
+ * @property {string} label Shown in the data source picker.
+ * @property {string} [cacheKey] Set by providers that go to the network; their responses
+ *   are cached per map tile under this key (see tile-cache.js).
+ * @property {(layer: "regulations" | "sweeping" | "meters", query: LayerQuery) => Promise<object | null>} fetchLayer
+ *   Resolves to a FeatureCollection, or null when the provider has nothing for that layer.
+ */
+
+/**
+ * @typedef {object} LayerQuery
+ * @property {{south: number, west: number, north: number, east: number} | null} bbox Area to load.
+ * @property {number} [limit] Maximum features to load per layer; results beyond it are
+ *   dropped and the collection is marked `truncated: true`.
+ * @property {string} [token] Socrata app token.
+ * @property {AbortSignal} [signal] Cancels the request.
+ * @property {(features: object[]) => void} [onPage] Receives each page of features as it arrives.
+ */
+
+const SOCRATA_BASE = "https://data.sfgov.org/resource";
+const PAGE_SIZE = 1000;
+export const DEFAULT_LIMIT = 10000;
+export const MIN_LIMIT = 1000;
+export const MAX_LIMIT = 100000;
+const SOCRATA_LAYERS = {
+    regulations: { datasetId: "hi6h-neyh", geomField: "shape" },
+    sweeping: { datasetId: "yhqp-riqs", geomField: "line" }, // Street sweeping schedule
+    meters: { datasetId: "8vzz-qzz9", geomField: "shape" }, // Parking meter posts; no rates or hours
+};
+const FIXTURE_URLS = {
+    regulations: "/fixtures/regulations.geojson",
+    sweeping: "/fixtures/street-sweeping.geojson",
+    meters: "/fixtures/meters.geojson",
+};
+
+/**
+ * Brings a user-entered segment cap into [MIN_LIMIT, MAX_LIMIT].
+ * @param {*} value
+ * @returns {number} The cap, or DEFAULT_LIMIT when `value` is not a number.
+ */
+export function clampLimit(value) {
+    const limit = Math.round(Number(value));
+    if (!Number.isFinite(limit)) return DEFAULT_LIMIT;
+    return Math.min(MAX_LIMIT, Math.max(MIN_LIMIT, limit));
+}
+
+/**
+ * Converts Leaflet bounds to a plain bounding box.
+ * @param {import('leaflet').LatLngBounds} bounds
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function toBbox(bounds) {
+    return {
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast(),
+    };
+}
+
+/**
+ * Keeps the features whose bounding box overlaps `bbox`.
+ * @param {object} geojson A FeatureCollection.
+ * @param {{south: number, west: number, north: number, east: number} | null} bbox
+ * @returns {object} A new FeatureCollection.
+ */
+export function filterByBbox(geojson, bbox) {
+    if (!bbox) return geojson;
+    const features = (geojson?.features || []).filter(f => {
+        const b = geometryBounds(f.geometry);
+        return b && bboxOverlaps(b, bbox);
+    });
+    return { ...geojson, type: "FeatureCollection", features };
+}
+
+async function fetchJson(url, signal) {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`File error ${res.status}: ${url}`);
+    return res.json();
+}
+
+/**
+ * Checks that parsed JSON is a GeoJSON FeatureCollection.
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isFeatureCollection(data) {
+    return data?.type === "FeatureCollection" && Array.isArray(data.features);
+}
+
+// Socrata API Fetcher
+async function fetchSocrataPage(url, { token, signal }) {
+    const res = await fetch(url, { headers: token ? { "X-App-Token": token } : {}, signal });
+
+    if (!res.ok) {
+        const text = await res.text();
+        console.error("[SODA] Error", res.status, text);
+        if (res.status === 400 && text.includes("Query is too complex")) {
+            throw new Error("Area too large or query too complex. Zoom in.");
+        }
+        throw new Error(`API Error ${res.status}: ${text}`);
+    }
+    return res.json();
+}
+
+// Pages through a dataset in a stable order. Each page asks for one more row than
+// still fits under the limit, so a full result can be told apart from a cut-off one.
+async function fetchSocrata({ datasetId, geomField }, { bbox, limit, token, signal, onPage }) {
+    const cap = limit || DEFAULT_LIMIT;
+    const base = `${SOCRATA_BASE}/${datasetId}.geojson`;
+    const features = [];
+    let truncated = false;
+
+    for (;;) {
+        const remaining = cap - features.length;
+        const pageSize = Math.min(PAGE_SIZE, remaining + 1);
+        const params = new URLSearchParams();
+        if (bbox) {
+            const whereClause = `within_box(${geomField}, ${bbox.north}, ${bbox.west}, ${bbox.south}, ${bbox.east})`;
+            params.set("$where", whereClause);
+        }
+        params.set("$order", ":id");
+        params.set("$limit", String(pageSize));
+        params.set("$offset", String(features.length));
+
+        const page = (await fetchSocrataPage(`${base}?${params.toString()}`, { token, signal })).features || [];
+        if (page.length > remaining) {
+            page.length = remaining;
+            truncated = true;
+        }
+        features.push(...page);
+        if (page.length > 0) onPage?.(page);
+        if (truncated || page.length < pageSize) break;
+    }
+    return { type: "FeatureCollection", features, truncated };
+}
+
+/**
+ * SF Open Data (Socrata) provider, filtering by bbox on the server.
+ * Supplementary layers can be pointed at local files instead.
+ * @param {{sweepingUrl?: string, metersUrl?: string}} [overrides] File URLs replacing the city datasets.
+ * @returns {DataProvider}
+ */
+export function createSocrataProvider(overrides = {}) {
+    const fileUrls = { sweeping: overrides.sweepingUrl, meters: overrides.metersUrl };
+    return {
+        id: "socrata",
+        label: "SF Open Data (live)",
+        cacheKey: "socrata",
+        async fetchLayer(layer, query) {
+            if (fileUrls[layer]) return filterByBbox(await fetchJson(fileUrls[layer], query.signal), query.bbox);
+            return fetchSocrata(SOCRATA_LAYERS[layer], query);
+        },
+    };
+}
+
+/**
+ * Static GeoJSON files (a city snapshot or the bundled fixtures), downloaded
+ * once and filtered by bbox in the browser.
+ * @param {{regulations?: string, sweeping?: string, meters?: string}} [urls] File URLs per layer.
+ * @returns {DataProvider}
+ */
+export function createStaticProvider(urls = {}) {
+    const layerUrls = { ...FIXTURE_URLS, ...Object.fromEntries(Object.entries(urls).filter(([, url]) => url)) };
+    const cache = new Map();
+    return {
+        id: "static",
+        label: "Static GeoJSON file",
+        async fetchLayer(layer, query) {
+            const url = layerUrls[layer];
+            if (!url) return null;
+            if (!cache.has(url)) {
+                // Forget failed downloads so a later pan can retry
+                cache.set(url, fetchJson(url).catch(err => {
+                    cache.delete(url);
+                    throw err;
+                }));
+            }
+            const data = await cache.get(url);
+            if (!isFeatureCollection(data)) throw new Error(`Not a GeoJSON FeatureCollection: ${url}`);
+            return filterByBbox(data, query.bbox);
+        },
+    };
+}
+
+/**
+ * A GeoJSON file the user imported (drag-and-drop or file picker), used as the
+ * regulations layer. It has no sweeping or meter data.
+ * @param {object} geojson The parsed FeatureCollection.
+ * @param {string} name The file name, for the picker label.
+ * @returns {DataProvider}
+ */
+export function createFileProvider(geojson, name) {
+    return {
+        id: "file",
+        label: `Imported: ${name}`,
+        async fetchLayer(layer, query) {
+            return layer === "regulations" ? filterByBbox(geojson, query.bbox) : null;
+        },
+    };
+}
+
+/**
+ * The built-in providers and which one to start with, configured by environment:
+ * VITE_DATA_PROVIDER ("socrata" or "static"), VITE_STATIC_DATA_URL for the static
+ * regulations file, and VITE_SWEEPING_URL / VITE_METERS_URL for the supplementary layers.
+ * @param {object} env Usually import.meta.env.
+ * @returns {{providers: DataProvider[], selected: string}}
+ */
+export function providersFromEnv(env = {}) {
+    const providers = [
+        createSocrataProvider({ sweepingUrl: env.VITE_SWEEPING_URL, metersUrl: env.VITE_METERS_URL }),
+        createStaticProvider({
+            regulations: env.VITE_STATIC_DATA_URL,
+            sweeping: env.VITE_SWEEPING_URL,
+            meters: env.VITE_METERS_URL,
+        }),
+    ];
+    const selected = providers.some(p => p.id === env.VITE_DATA_PROVIDER) ? env.VITE_DATA_PROVIDER : "socrata";
+    return { providers, selected };
+}
+
+/**
+ * Loads all layers for an area. Sweeping and meter data are supplementary:
+ * if they fail the map still loads, with those layers empty and listed in `failed`.
+ * @param {DataProvider} provider
+ * @param {Omit<LayerQuery, "onPage"> & {onPage?: (layer: string, features: object[]) => void}} query
+ * @returns {Promise<{regulations: object, sweeping: object | null, meters: object | null, failed: string[]}>}
+ */
+export async function loadLayers(provider, query) {
+    const failed = [];
+    const fetchLayer = (layer) => provider.fetchLayer(layer, {
+        ...query,
+        onPage: query.onPage && (features => query.onPage(layer, features)),
+    });
+    const optional = (layer) => fetchLayer(layer).catch(err => {
+        if (err.name === "AbortError") throw err;
+        console.warn(`[data] ${layer} unavailable from ${provider.id}`, err);
+        failed.push(layer);
+        return null;
+    });
+    const [regulations, sweeping, meters] = await Promise.all([
+        fetchLayer("regulations"),
+        optional("sweeping"),
+        optional("meters"),
+    ]);
+    return { regulations, sweeping, meters, failed };
+}
@@ -0,0 +1,114 @@
+import { parseDays, parseTimeRanges, unparsedDayTokens, unparsedTimeChunks, formatClockTime } from './time-parser.js';
+import { parseHourLimit } from './regulation.js';
+import { matchRule } from './classification.js';
+
+// Finds posted values the parsers could not read, or read in a way that may not be
+// what the sign says. The parsers fall back quietly (a missing day list means every
+// day, unreadable hours mean all day), so these are the segments whose colors
+// should not be trusted.
+
+/** Fields checked, in display order. */
+export const DIAGNOSTIC_FIELDS = ['days', 'hours', 'hrlimit', 'regulation'];
+
+/**
+ * @typedef {object} ParseIssue
+ * @property {string} field One of DIAGNOSTIC_FIELDS.
+ * @property {string} value The raw value.
+ * @property {"unparsed" | "ambiguous"} kind "unparsed" when nothing was understood,
+ *   "ambiguous" when part of the value was skipped or guessed.
+ * @property {string} reason What the parser did with it.
+ */
+
+function daysIssue(value) {
+    if (!parseDays(value)) return { kind: 'unparsed', reason: 'No days recognized; treated as every day' };
+    const skipped = unparsedDayTokens(value);
+    if (skipped.length) return { kind: 'ambiguous', reason: `Ignored ${skipped.map(t => `"${t}"`).join(', ')}` };
+    return null;
+}
+
+function hoursIssue(value) {
+    const windows = parseTimeRanges(value);
+    if (!windows) return { kind: 'unparsed', reason: 'No time window recognized; treated as all day' };
+    const skipped = unparsedTimeChunks(value);
+    if (skipped.length) return { kind: 'ambiguous', reason: `Ignored ${skipped.map(t => `"${t}"`).join(', ')}` };
+    if (windows.some(w => w.startMin === w.endMin)) return { kind: 'ambiguous', reason: 'Window starts and ends at the same time; treated as all day' };
+    // "9-5" with no AM/PM reads as 9:00 to 5:00 the next morning
+    const overnight = windows.find(w => w.endMin < w.startMin);
+    if (overnight && !/[ap]\.?m\b|noon|midnight|\d{4}/i.test(value)) {
+        return {
+            kind: 'ambiguous',
+            reason: `No AM/PM; read as ${formatClockTime(overnight.startMin)} to ${formatClockTime(overnight.endMin)} overnight`,
+        };
+    }
+    return null;
+}
+
+function hourLimitIssue(value) {
+    const minutes = parseHourLimit(value);
+    // The dataset writes "no limit" as 0
+    if (minutes === null && /^0*\.?0*$/.test(value)) return null;
+    if (minutes === null) return { kind: 'unparsed', reason: 'No limit recognized; treated as unlimited' };
+    // Numbers without a unit count as hours, which is a guess when there are several
+    const numbers = value.match(/\d*\.?\d+\s*[a-z]*/gi) || [];
+    if (numbers.length > 1 && numbers.some(n => !/[a-z]$/i.test(n))) {
+        return { kind: 'ambiguous', reason: `Several numbers read as ${minutes / 60} h in total` };
+    }
+    return null;
+}
+
+function regulationIssue(props, rules) {
+    const winner = matchRule(props, rules);
+    if (!winner) return { kind: 'unparsed', reason: 'No classification rule matches; shown as Unknown' };
+    // Text that reads as two different categories, e.g. "Tow-away, metered"
+    const others = [...new Set(rules
+        .filter(rule => rule.field === 'regulation' && rule.category !== winner.category && rule.regex.test(props.regulation))
+        .map(rule => rule.label))];
+    if (others.length) return { kind: 'ambiguous', reason: `"${winner.label}" wins over ${others.map(l => `"${l}"`).join(', ')}` };
+    return null;
+}
+
+/**
+ * Checks one feature's posted values. Empty values are not issues.
+ * @param {object} props The feature properties.
+ * @param {Array<object>} [rules] Compiled classification rules (see compileRules); the
+ *   regulation text is only checked when given.
+ * @returns {ParseIssue[]}
+ */
+export function featureIssues(props = {}, rules = null) {
+    const issues = [];
+    const check = (field, find) => {
+        const value = String(props[field] ?? '').trim();
+        if (!value) return;
+        const issue = find(value);
+        if (issue) issues.push({ field, value, ...issue });
+    };
+    check('days', daysIssue);
+    check('hours', hoursIssue);
+    check('hrlimit', hourLimitIssue);
+    if (rules) check('regulation', () => regulationIssue(props, rules));
+    return issues;
+}
+
+/**
+ * Groups the issues of a set of features by field, value and reason, most common first.
+ * @param {object[]} features Compiled features.
+ * @param {Array<object>} rules Compiled classification rules.
+ * @returns {Array<ParseIssue & {count: number, featureIds: string[]}>}
+ */
+export function collectDiagnostics(features, rules) {
+    const groups = new Map();
+    for (const f of features) {
+        for (const issue of featureIssues(f.properties, rules)) {
+            const key = `${issue.field}\u0000${issue.value}\u0000${issue.reason}`;
+            if (!groups.has(key)) groups.set(key, { ...issue, count: 0, featureIds: [] });
+            const group = groups.get(key);
+            group.count++;
+            group.featureIds.push(f.id);
+        }
+    }
+    return [...groups.values()].sort((a, b) => (
+        b.count - a.count
+        || DIAGNOSTIC_FIELDS.indexOf(a.field) - DIAGNOSTIC_FIELDS.indexOf(b.field)
+        || a.value.localeCompare(b.value)
+    ));
+}
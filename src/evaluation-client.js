@@ -0,0 +1,103 @@
+import { createEvaluationHandler } from './evaluation.js';
+
+/**
+ * Starts the evaluation worker and wraps its message protocol in promises.
+ * Where workers are unavailable the same handler runs on the main thread.
+ *
+ * Evaluations are coalesced: while one is running, newer requests replace any
+ * queued one, and replaced requests resolve to null. Scrubbing through times
+ * therefore never builds a backlog. Previews of layers still loading are coalesced
+ * the same way, and a full load drops any queued preview so it cannot be overtaken.
+ * @returns {{
+ *   load: (layers: {regulations: object, sweeping: object | null, meters: object | null}) => Promise<object[]>,
+ *   preview: (layers: {regulations: object, sweeping: object | null, meters: object | null}) => Promise<object[] | null>,
+ *   setRules: (ruleSet: import('./classification.js').RuleSet) => Promise<object[]>,
+ *   evaluate: (request: import('./evaluation.js').EvaluationRequest) => Promise<Object<string, import('./evaluation.js').FeatureStatus> | null>,
+ *   search: (request: import('./search.js').SearchRequest) => Promise<import('./search.js').SearchResult[]>,
+ *   availability: (request: import('./evaluation.js').AvailabilityRequest) => Promise<Array<number | null>>,
+ *   diagnostics: () => Promise<Array<import('./diagnostics.js').ParseIssue & {count: number, featureIds: string[]}>>,
+ *   terminate: () => void,
+ * }}
+ */
+export function createEvaluator() {
+    let worker = null;
+    try {
+        worker = new Worker(new URL('./evaluation.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('[eval] Web Worker unavailable, evaluating on the main thread', err);
+    }
+    const handle = worker ? null : createEvaluationHandler();
+    const pending = new Map();
+    let nextId = 1;
+
+    const settle = (reply) => {
+        const request = pending.get(reply.id);
+        if (!request) return;
+        pending.delete(reply.id);
+        if (reply.error) request.reject(new Error(reply.error));
+        else request.resolve(reply);
+    };
+
+    if (worker) {
+        worker.onmessage = (e) => settle(e.data);
+        worker.onerror = (e) => {
+            console.error('[eval] Worker error', e);
+            for (const [id] of pending) settle({ id, error: e.message || 'Evaluation worker failed' });
+        };
+    }
+
+    const send = (message) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        if (worker) worker.postMessage({ ...message, id });
+        else settle(handle({ ...message, id }));
+    });
+
+    // One message at a time; a newer call replaces the queued one, which resolves to null
+    const coalesce = (toMessage, fromReply) => {
+        let running = false;
+        let queued = null;
+        const pump = async () => {
+            if (running || !queued) return;
+            const { arg, resolve } = queued;
+            queued = null;
+            running = true;
+            try {
+                resolve(fromReply(await send(toMessage(arg))));
+            } catch (err) {
+                console.error(err);
+                resolve(null);
+            } finally {
+                running = false;
+                pump();
+            }
+        };
+        const call = (arg) => new Promise(resolve => {
+            queued?.resolve(null);
+            queued = { arg, resolve };
+            pump();
+        });
+        call.drop = () => {
+            queued?.resolve(null);
+            queued = null;
+        };
+        return call;
+    };
+
+    const evaluate = coalesce(request => ({ type: 'evaluate', request }), reply => reply.statuses);
+    const preview = coalesce(layers => ({ type: 'load', layers }), reply => reply.features);
+
+    return {
+        load: async (layers) => {
+            preview.drop();
+            return (await send({ type: 'load', layers })).features;
+        },
+        preview,
+        setRules: async (ruleSet) => (await send({ type: 'rules', ruleSet })).features,
+        evaluate,
+        search: async (request) => (await send({ type: 'search', request })).results,
+        availability: async (request) => (await send({ type: 'availability', request })).fractions,
+        diagnostics: async () => (await send({ type: 'diagnostics' })).entries,
+        terminate: () => worker?.terminate(),
+    };
+}
@@ -0,0 +1,176 @@
+import { compileFeatures, effectiveCategory } from './regulation.js';
+import { DEFAULT_RULE_SET, compileRules } from './classification.js';
+import { collectDiagnostics } from './diagnostics.js';
+import { attachSweeping } from './sweeping.js';
+import { attachMeters } from './meters.js';
+import { createHolidayCalendar } from './holidays.js';
+import { bboxOverlaps, geometryBounds } from './geo.js';
+import { findParking } from './search.js';
+import { evaluateRange, intersectsRange, isActiveAt, isMeteredAt, isSweepingAt, maxStayMinutes, staysOvernight, sweepsDuring } from './time-parser.js';
+
+// Parsing and evaluation of loaded features, shared by the evaluation worker and
+// the main-thread fallback. Everything crossing the worker boundary is plain data,
+// so holiday overrides travel instead of a calendar object.
+
+/**
+ * What the map shows for one feature in the selected mode and time.
+ * @typedef {object} FeatureStatus
+ * @property {string} category Category as it applies to the user (see effectiveCategory).
+ * @property {string | null} ruleId Classification rule that matched the segment (see classification.js).
+ * @property {boolean} isActive
+ * @property {number} [coverage] Range mode: fraction of the range you may park.
+ * @property {boolean} sweeping Street cleaning at the time or during the range.
+ * @property {boolean} metered At mode: meters running.
+ * @property {string} [rangeStatus] Range mode: "free", "partial", "metered" or "not-allowed".
+ * @property {number | null} [cost] Range mode: estimated meter cost.
+ * @property {number | null} [stayMinutes] Stay mode: longest legal stay from the selected time,
+ *   null when unlimited (see maxStayMinutes).
+ * @property {boolean} [stayOvernight] Stay mode: the stay lasts to the next morning (see staysOvernight).
+ */
+
+/**
+ * @typedef {object} EvaluationRequest
+ * @property {"now" | "at" | "range" | "stay"} mode
+ * @property {Date} atTime Also the parking time in stay mode.
+ * @property {Date} rangeStart
+ * @property {Date} rangeEnd
+ * @property {string[]} permits
+ * @property {string} vehicle
+ * @property {import('./holidays.js').HolidayOverrides} holidayOverrides
+ */
+
+/**
+ * Compiles raw layers into map features with sweeping and meters attached.
+ * @param {{regulations: object, sweeping: object | null, meters: object | null}} layers
+ * @param {import('./classification.js').RuleSet} [ruleSet] Classification rules; the defaults if omitted.
+ * @returns {object[]} Compiled features (see compileFeatures).
+ */
+export function prepareFeatures({ regulations, sweeping, meters }, ruleSet = DEFAULT_RULE_SET) {
+    const compiled = compileFeatures(regulations, compileRules(ruleSet));
+    return attachMeters(attachSweeping(compiled.features, sweeping), meters);
+}
+
+/**
+ * Evaluates every feature for a mode and time.
+ * @param {object[]} features Compiled features.
+ * @param {EvaluationRequest} request
+ * @returns {Object<string, FeatureStatus>} Statuses by feature id.
+ */
+export function evaluateFeatures(features, request) {
+    const { mode, permits, vehicle, holidayOverrides } = request;
+    const atTime = new Date(request.atTime);
+    const rangeStart = new Date(request.rangeStart);
+    const rangeEnd = new Date(request.rangeEnd);
+    const options = { permits, vehicle, isHoliday: createHolidayCalendar(holidayOverrides).isHoliday };
+
+    const statuses = {};
+    for (const f of features) {
+        const reg = f.regulation;
+        const status = {
+            category: effectiveCategory(reg, options),
+            ruleId: reg.ruleId,
+            isActive: true,
+            sweeping: false,
+            metered: false,
+        };
+        if (mode === 'at') {
+            status.isActive = isActiveAt(reg, atTime, options);
+            status.sweeping = isSweepingAt(reg, atTime, options);
+            status.metered = isMeteredAt(reg, atTime, options);
+        } else if (mode === 'range') {
+            status.isActive = intersectsRange(reg, rangeStart, rangeEnd, options);
+            const { coverage, status: rangeStatus, cost } = evaluateRange(reg, rangeStart, rangeEnd, options);
+            Object.assign(status, { coverage, rangeStatus, cost });
+            status.sweeping = sweepsDuring(reg, rangeStart, rangeEnd, options);
+        } else if (mode === 'stay') {
+            // "Active" here means some rule ends the stay within the week
+            status.stayMinutes = maxStayMinutes(reg, atTime, options);
+            status.stayOvernight = status.stayMinutes !== null && staysOvernight(atTime, status.stayMinutes, options);
+            status.isActive = status.stayMinutes !== null;
+        }
+        statuses[f.id] = status;
+    }
+    return statuses;
+}
+
+/**
+ * @typedef {object} AvailabilityRequest
+ * @property {number[]} times Instants to sample, ms.
+ * @property {{south: number, west: number, north: number, east: number}} bbox The visible area.
+ * @property {string[]} permits
+ * @property {string} vehicle
+ * @property {import('./holidays.js').HolidayOverrides} holidayOverrides
+ */
+
+/**
+ * Fraction of the segments in an area where you may park at each of several times,
+ * judged like At mode: not during street cleaning or active "Cannot Park" hours.
+ * @param {object[]} features Compiled features.
+ * @param {AvailabilityRequest} request
+ * @returns {Array<number | null>} One fraction per time; null when no segment is in the area.
+ */
+export function availabilityOverTime(features, request) {
+    const { times, bbox, permits, vehicle, holidayOverrides } = request;
+    const options = { permits, vehicle, isHoliday: createHolidayCalendar(holidayOverrides).isHoliday };
+    const visible = features.filter(f => {
+        const bounds = geometryBounds(f.geometry);
+        return bounds && bboxOverlaps(bounds, bbox);
+    });
+    if (visible.length === 0) return times.map(() => null);
+    const categories = visible.map(f => effectiveCategory(f.regulation, options));
+
+    return times.map(time => {
+        const at = new Date(time);
+        let parkable = 0;
+        visible.forEach((f, i) => {
+            const reg = f.regulation;
+            if (isSweepingAt(reg, at, options)) return;
+            if (categories[i] === 'CannotPark' && isActiveAt(reg, at, options)) return;
+            parkable++;
+        });
+        return parkable / visible.length;
+    });
+}
+
+/**
+ * Message handler for the evaluation protocol. Keeps the loaded layers, their features
+ * and the classification rules between messages.
+ *
+ *  - `{id, type: "load", layers}` → `{id, features}`: compiles and keeps the features
+ *  - `{id, type: "rules", ruleSet}` → `{id, features}`: switches classification rules and
+ *    recompiles the kept layers (no features before the first load)
+ *  - `{id, type: "evaluate", request}` → `{id, statuses}`: evaluates the kept features
+ *  - `{id, type: "search", request}` → `{id, results}`: ranks parking near a destination (see findParking)
+ *  - `{id, type: "availability", request}` → `{id, fractions}`: parkable share over time (see availabilityOverTime)
+ *  - `{id, type: "diagnostics"}` → `{id, entries}`: values the parsers could not read (see collectDiagnostics)
+ *
+ * Failures reply `{id, error}`.
+ * @returns {(message: object) => object} Maps a request message to its reply.
+ */
+export function createEvaluationHandler() {
+    let layers = null;
+    let ruleSet = DEFAULT_RULE_SET;
+    let features = [];
+    return (message) => {
+        const { id, type } = message;
+        try {
+            if (type === 'load') {
+                layers = message.layers;
+                features = prepareFeatures(layers, ruleSet);
+                return { id, features };
+            }
+            if (type === 'rules') {
+                ruleSet = message.ruleSet;
+                features = layers ? prepareFeatures(layers, ruleSet) : [];
+                return { id, features };
+            }
+            if (type === 'evaluate') return { id, statuses: evaluateFeatures(features, message.request) };
+            if (type === 'search') return { id, results: findParking(features, message.request) };
+            if (type === 'availability') return { id, fractions: availabilityOverTime(features, message.request) };
+            if (type === 'diagnostics') return { id, entries: collectDiagnostics(features, compileRules(ruleSet)) };
+            return { id, error: `Unknown message type: ${type}` };
+        } catch (err) {
+            return { id, error: err.message };
+        }
+    };
+}
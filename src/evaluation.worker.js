@@ -0,0 +1,8 @@
+import { createEvaluationHandler } from './evaluation.js';
+
+// Runs feature parsing and evaluation off the main thread (see evaluation-client.js)
+const handle = createEvaluationHandler();
+
+self.onmessage = (e) => {
+    self.postMessage(handle(e.data));
+};
@@ -0,0 +1,173 @@
+import { lineCentroid, lineStrings } from './geo.js';
+
+// Writes the segments on screen, with their computed status, to files other tools
+// can read. Computed fields are prefixed with "_" so they never clash with the
+// dataset's own columns.
+
+/** Formats offered by exportView, as [id, label]. */
+export const EXPORT_FORMATS = [
+    ['geojson', 'GeoJSON'],
+    ['csv', 'CSV'],
+    ['kml', 'KML'],
+];
+
+/**
+ * How the exported statuses were computed.
+ * @typedef {object} ExportContext
+ * @property {"now" | "at" | "range" | "stay"} mode
+ * @property {string | null} evaluatedAt ISO time evaluated in At and Stay modes.
+ * @property {string | null} rangeStart ISO start of the range in Range mode.
+ * @property {string | null} rangeEnd ISO end of the range in Range mode.
+ * @property {string} timeZone Zone the times were entered in.
+ * @property {string[]} permits
+ * @property {string} vehicle
+ * @property {string} exportedAt ISO time of the export.
+ */
+
+// Computed columns, in CSV order
+function computedFields(status, context) {
+    return {
+        _category: status.category,
+        _isActive: status.isActive,
+        _coverage: status.coverage ?? null,
+        _rangeStatus: status.rangeStatus ?? null,
+        _cost: status.cost ?? null,
+        _stayMinutes: status.stayMinutes ?? null,
+        _sweeping: status.sweeping,
+        _metered: status.metered,
+        _mode: context.mode,
+        _evaluatedAt: context.evaluatedAt,
+        _rangeStart: context.rangeStart,
+        _rangeEnd: context.rangeEnd,
+    };
+}
+
+function toGeoJson(features, statuses, context) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: context,
+        features: features.map(f => ({
+            type: 'Feature',
+            id: f.id,
+            geometry: f.geometry,
+            properties: { ...f.properties, ...computedFields(statuses[f.id], context) },
+        })),
+    }, null, 2);
+}
+
+// Quotes a CSV cell when needed. Text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe; plain negative numbers are left alone.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^([=+@\t\r]|-[^\d.])/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(features, statuses, context) {
+    // Every source column seen in the export, in first-seen order
+    const sourceColumns = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+    const computedColumns = Object.keys(computedFields({}, context));
+    const header = ['id', ...sourceColumns, ...computedColumns, 'centroid_lng', 'centroid_lat'];
+
+    const rows = features.map(f => {
+        const computed = computedFields(statuses[f.id], context);
+        const [lng, lat] = lineCentroid(f.geometry) || [null, null];
+        return [
+            f.id,
+            ...sourceColumns.map(key => f.properties?.[key]),
+            ...computedColumns.map(key => computed[key]),
+            lng,
+            lat,
+        ];
+    });
+    // The byte order mark makes spreadsheets read the file as UTF-8
+    return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function xml(value) {
+    return String(value ?? '').replace(/[<>&"']/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+    })[c]);
+}
+
+// "#RRGGBB" to KML's aabbggrr
+function kmlColor(hex) {
+    const [, r, g, b] = /^#?(..)(..)(..)$/.exec(hex || '') || [null, '99', '99', '99'];
+    return `ff${b}${g}${r}`.toLowerCase();
+}
+
+function kmlGeometry(geometry) {
+    if (geometry?.type === 'Point') return `<Point><coordinates>${geometry.coordinates.join(',')}</coordinates></Point>`;
+    const lines = lineStrings(geometry).map(line => (
+        `<LineString><coordinates>${line.map(c => c.join(',')).join(' ')}</coordinates></LineString>`
+    ));
+    if (lines.length === 0) return '';
+    return lines.length === 1 ? lines[0] : `<MultiGeometry>${lines.join('')}</MultiGeometry>`;
+}
+
+function toKml(features, statuses, context, colorFor) {
+    const placemarks = features.map(f => {
+        const status = statuses[f.id];
+        const fields = { ...f.properties, ...computedFields(status, context) };
+        const data = Object.entries(fields)
+            .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+            .map(([key, value]) => `<Data name="${xml(key)}"><value>${xml(value)}</value></Data>`)
+            .join('');
+        return [
+            '<Placemark>',
+            `<name>${xml(f.properties?.regulation || status.category)}</name>`,
+            `<description>${xml(`${status.category} - ${status.isActive ? 'ACTIVE' : 'INACTIVE'}`)}</description>`,
+            `<Style><LineStyle><color>${kmlColor(colorFor?.(f, status))}</color><width>3</width></LineStyle></Style>`,
+            `<ExtendedData>${data}</ExtendedData>`,
+            kmlGeometry(f.geometry),
+            '</Placemark>',
+        ].join('');
+    });
+    const when = context.evaluatedAt || (context.rangeStart && `${context.rangeStart} to ${context.rangeEnd}`) || context.exportedAt;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+        `<name>${xml(`SF parking (${context.mode}, ${when})`)}</name>`,
+        ...placemarks,
+        '</Document></kml>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Writes parser diagnostics as a CSV report, one row per distinct value, for sending
+ * data issues upstream.
+ * @param {Array<import('./diagnostics.js').ParseIssue & {count: number, featureIds: string[]}>} entries
+ *   See collectDiagnostics.
+ * @returns {{content: string, mimeType: string, extension: string}}
+ */
+export function exportDiagnostics(entries) {
+    const header = ['field', 'kind', 'value', 'reason', 'segments', 'segment_ids'];
+    const rows = entries.map(e => [e.field, e.kind, e.value, e.reason, e.count, e.featureIds.join(' ')]);
+    const content = '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    return { content, mimeType: 'text/csv', extension: 'csv' };
+}
+
+/**
+ * Serializes segments and their statuses.
+ * @param {"geojson" | "csv" | "kml"} format
+ * @param {object[]} features Compiled features; each needs a status.
+ * @param {Object<string, import('./evaluation.js').FeatureStatus>} statuses Statuses by feature id.
+ * @param {ExportContext} context
+ * @param {(feature: object, status: import('./evaluation.js').FeatureStatus) => string} [colorFor]
+ *   Line color ("#RRGGBB") for KML, usually the one on the map.
+ * @returns {{content: string, mimeType: string, extension: string}}
+ */
+export function exportView(format, features, statuses, context, colorFor) {
+    if (format === 'geojson') {
+        return { content: toGeoJson(features, statuses, context), mimeType: 'application/geo+json', extension: 'geojson' };
+    }
+    if (format === 'csv') {
+        return { content: toCsv(features, statuses, context), mimeType: 'text/csv', extension: 'csv' };
+    }
+    if (format === 'kml') {
+        return { content: toKml(features, statuses, context, colorFor), mimeType: 'application/vnd.google-earth.kml+xml', extension: 'kml' };
+    }
+    throw new Error(`Unknown export format: ${format}`);
+}
@@ -0,0 +1,193 @@
+// Small planar geometry helpers for matching city datasets at block scale.
+// Distances use a local flat projection, which is accurate to well under a
+// meter across a few hundred meters.
+
+const METERS_PER_DEG_LAT = 111320;
+const CELL_DEG = 0.001; // ~110 m grid cells
+
+/**
+ * Lists the coordinate arrays of a line geometry.
+ * @param {object} geometry A GeoJSON LineString or MultiLineString.
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function lineStrings(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'LineString') return [geometry.coordinates];
+    if (geometry.type === 'MultiLineString') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Bounding box of any GeoJSON geometry.
+ * @param {object} geometry
+ * @returns {{south: number, west: number, north: number, east: number} | null} null when there are no coordinates.
+ */
+export function geometryBounds(geometry) {
+    let bounds = null;
+    const visit = (coords) => {
+        if (typeof coords[0] === 'number') {
+            const [lng, lat] = coords;
+            if (!bounds) bounds = { south: lat, west: lng, north: lat, east: lng };
+            bounds.south = Math.min(bounds.south, lat);
+            bounds.north = Math.max(bounds.north, lat);
+            bounds.west = Math.min(bounds.west, lng);
+            bounds.east = Math.max(bounds.east, lng);
+            return;
+        }
+        for (const c of coords) visit(c);
+    };
+    if (geometry?.type === 'GeometryCollection') {
+        for (const g of geometry.geometries || []) {
+            const b = geometryBounds(g);
+            if (b) visit([[b.west, b.south], [b.east, b.north]]);
+        }
+    } else if (Array.isArray(geometry?.coordinates)) {
+        visit(geometry.coordinates);
+    }
+    return bounds;
+}
+
+/**
+ * Checks whether two bounding boxes overlap (touching counts).
+ * @param {{south: number, west: number, north: number, east: number}} a
+ * @param {{south: number, west: number, north: number, east: number}} b
+ * @returns {boolean}
+ */
+export function bboxOverlaps(a, b) {
+    return a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+}
+
+/**
+ * Returns a representative point on a line feature: the midpoint of its middle segment.
+ * Points are returned as-is.
+ * @param {object} geometry A GeoJSON LineString, MultiLineString or Point.
+ * @returns {[number, number] | null} [lng, lat]
+ */
+export function lineMidpoint(geometry) {
+    if (geometry?.type === 'Point') return geometry.coordinates;
+    const line = lineStrings(geometry)[0];
+    if (!line || line.length === 0) return null;
+    if (line.length === 1) return line[0];
+    const i = Math.floor((line.length - 1) / 2);
+    return [(line[i][0] + line[i + 1][0]) / 2, (line[i][1] + line[i + 1][1]) / 2];
+}
+
+/**
+ * Centroid of a line feature: the average of its segment midpoints weighted by
+ * length. Points are returned as-is.
+ * @param {object} geometry A GeoJSON LineString, MultiLineString or Point.
+ * @returns {[number, number] | null} [lng, lat]
+ */
+export function lineCentroid(geometry) {
+    let x = 0, y = 0, total = 0;
+    for (const line of lineStrings(geometry)) {
+        for (let i = 1; i < line.length; i++) {
+            const length = distanceMeters(line[i - 1], line[i]);
+            x += (line[i - 1][0] + line[i][0]) / 2 * length;
+            y += (line[i - 1][1] + line[i][1]) / 2 * length;
+            total += length;
+        }
+    }
+    // Degenerate lines (and points) fall back to a representative point
+    return total > 0 ? [x / total, y / total] : lineMidpoint(geometry);
+}
+
+/**
+ * Distance in meters between two [lng, lat] points.
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number}
+ */
+export function distanceMeters(a, b) {
+    const kx = METERS_PER_DEG_LAT * Math.cos(((a[1] + b[1]) / 2) * Math.PI / 180);
+    return Math.hypot((b[0] - a[0]) * kx, (b[1] - a[1]) * METERS_PER_DEG_LAT);
+}
+
+/**
+ * Distance in meters from point p to segment ab, all [lng, lat].
+ * @param {[number, number]} p
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number}
+ */
+export function pointSegmentDistance(p, a, b) {
+    const kx = METERS_PER_DEG_LAT * Math.cos(p[1] * Math.PI / 180);
+    const ky = METERS_PER_DEG_LAT;
+    const ax = (a[0] - p[0]) * kx, ay = (a[1] - p[1]) * ky;
+    const bx = (b[0] - p[0]) * kx, by = (b[1] - p[1]) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Distance in meters from a point to the nearest part of a geometry.
+ * @param {[number, number]} p [lng, lat]
+ * @param {object} geometry A GeoJSON LineString, MultiLineString or Point.
+ * @returns {number} Infinity for unsupported geometry.
+ */
+export function pointGeometryDistance(p, geometry) {
+    if (geometry?.type === 'Point') return distanceMeters(p, geometry.coordinates);
+    let best = Infinity;
+    for (const line of lineStrings(geometry)) {
+        if (line.length === 1) best = Math.min(best, distanceMeters(p, line[0]));
+        for (let i = 0; i < line.length - 1; i++) {
+            best = Math.min(best, pointSegmentDistance(p, line[i], line[i + 1]));
+        }
+    }
+    return best;
+}
+
+/**
+ * Builds a grid index over line segments for "what is near this point" lookups.
+ * @template T
+ * @param {T[]} items Things to index.
+ * @param {(item: T) => object} getGeometry Returns the GeoJSON geometry of an item.
+ * @returns {{near: (point: [number, number], maxMeters: number) => Array<{item: T, distance: number}>}}
+ *   `near` returns each item within `maxMeters`, closest first.
+ */
+export function createSegmentIndex(items, getGeometry) {
+    const grid = new Map();
+    const add = (x, y, entry) => {
+        const key = `${x}:${y}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(entry);
+    };
+
+    for (const item of items) {
+        const geometry = getGeometry(item);
+        if (geometry?.type === 'Point') {
+            const [lng, lat] = geometry.coordinates;
+            add(Math.floor(lng / CELL_DEG), Math.floor(lat / CELL_DEG), [geometry.coordinates, geometry.coordinates, item]);
+            continue;
+        }
+        for (const line of lineStrings(geometry)) {
+            for (let i = 0; i < line.length - 1; i++) {
+                const [a, b] = [line[i], line[i + 1]];
+                const minX = Math.floor(Math.min(a[0], b[0]) / CELL_DEG), maxX = Math.floor(Math.max(a[0], b[0]) / CELL_DEG);
+                const minY = Math.floor(Math.min(a[1], b[1]) / CELL_DEG), maxY = Math.floor(Math.max(a[1], b[1]) / CELL_DEG);
+                for (let x = minX; x <= maxX; x++) {
+                    for (let y = minY; y <= maxY; y++) add(x, y, [a, b, item]);
+                }
+            }
+        }
+    }
+
+    return {
+        near(point, maxMeters) {
+            const reach = Math.ceil(maxMeters / (CELL_DEG * METERS_PER_DEG_LAT * Math.cos(point[1] * Math.PI / 180)));
+            const cx = Math.floor(point[0] / CELL_DEG), cy = Math.floor(point[1] / CELL_DEG);
+            const best = new Map();
+            for (let x = cx - reach; x <= cx + reach; x++) {
+                for (let y = cy - reach; y <= cy + reach; y++) {
+                    for (const [a, b, item] of grid.get(`${x}:${y}`) || []) {
+                        const distance = pointSegmentDistance(point, a, b);
+                        if (distance <= maxMeters && !(best.get(item) <= distance)) best.set(item, distance);
+                    }
+                }
+            }
+            return [...best].map(([item, distance]) => ({ item, distance })).sort((a, b) => a.distance - b.distance);
+        },
+    };
+}
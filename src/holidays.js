@@ -0,0 +1,135 @@
+import { SF_TIME_ZONE, zonedParts } from './timezone.js';
+
+// San Francisco / SFMTA observed holidays. On these days most time limits and
+// holiday-exempt rules are not enforced; meters are only free on the few
+// holidays marked `meters: true`.
+
+/**
+ * @typedef {object} Holiday
+ * @property {string} date Observed calendar day, "YYYY-MM-DD".
+ * @property {string} name
+ * @property {boolean} meters True if meters are also not enforced.
+ * @property {boolean} [custom] True for user-added days.
+ */
+
+const pad = (n) => String(n).padStart(2, "0");
+const key = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`;
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+    }
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const last = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((last - weekday + 7) % 7);
+}
+
+// Fixed-date holidays falling on a weekend are observed Friday or Monday
+function observed(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    const weekday = date.getUTCDay();
+    if (weekday === 6) date.setUTCDate(day - 1);
+    if (weekday === 0) date.setUTCDate(day + 1);
+    return key(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Computes the observed SF holidays for a year, including floating ones.
+ * @param {number} year
+ * @returns {Holiday[]}
+ */
+export function computeHolidays(year) {
+    const thanksgiving = nthWeekday(year, 10, 4, 4);
+    return [
+        { date: observed(year, 0, 1), name: "New Year's Day", meters: true },
+        { date: key(year, 0, nthWeekday(year, 0, 1, 3)), name: "Martin Luther King Jr. Day", meters: false },
+        { date: key(year, 1, nthWeekday(year, 1, 1, 3)), name: "Presidents' Day", meters: false },
+        { date: key(year, 4, nthWeekday(year, 4, 1, -1)), name: "Memorial Day", meters: false },
+        { date: observed(year, 5, 19), name: "Juneteenth", meters: false },
+        { date: observed(year, 6, 4), name: "Independence Day", meters: false },
+        { date: key(year, 8, nthWeekday(year, 8, 1, 1)), name: "Labor Day", meters: false },
+        { date: key(year, 9, nthWeekday(year, 9, 1, 2)), name: "Indigenous Peoples' Day", meters: false },
+        { date: observed(year, 10, 11), name: "Veterans Day", meters: false },
+        { date: key(year, 10, thanksgiving), name: "Thanksgiving Day", meters: true },
+        { date: key(year, 10, thanksgiving + 1), name: "Day after Thanksgiving", meters: false },
+        { date: observed(year, 11, 25), name: "Christmas Day", meters: true },
+    ];
+}
+
+/**
+ * User changes to the computed calendar.
+ * @typedef {object} HolidayOverrides
+ * @property {Array<{date: string, name: string}>} added Extra days treated as holidays.
+ * @property {string[]} removed Computed holidays to enforce as normal days.
+ */
+
+export const EMPTY_OVERRIDES = { added: [], removed: [] };
+
+/**
+ * Builds a holiday lookup from the computed calendar plus user overrides.
+ * @param {HolidayOverrides} [overrides]
+ * @returns {{holidayOn: (day: string) => Holiday | null, isHoliday: (day: string, kind?: string) => boolean}}
+ *   `isHoliday(day, "meters")` only answers true for holidays that also suspend meters.
+ */
+export function createHolidayCalendar(overrides = EMPTY_OVERRIDES) {
+    const years = new Map();
+    const removed = new Set(overrides.removed || []);
+    const added = new Map((overrides.added || []).map(h => [h.date, { ...h, meters: false, custom: true }]));
+
+    const holidayOn = (day) => {
+        if (!day || removed.has(day)) return null;
+        if (added.has(day)) return added.get(day);
+        const year = Number(day.slice(0, 4));
+        if (!years.has(year)) {
+            // Next year's New Year's Day may be observed on Dec 31 of this one
+            const days = [...computeHolidays(year), ...computeHolidays(year + 1)]
+                .filter(h => h.date.startsWith(`${year}-`));
+            years.set(year, new Map(days.map(h => [h.date, h])));
+        }
+        return years.get(year).get(day) || null;
+    };
+
+    return {
+        holidayOn,
+        isHoliday: (day, kind) => {
+            const holiday = holidayOn(day);
+            return !!holiday && (kind !== "meters" || holiday.meters);
+        },
+    };
+}
+
+/**
+ * Lists the holidays falling on San Francisco calendar days from `start` to `end`
+ * (inclusive), capped at about two months.
+ * @param {ReturnType<typeof createHolidayCalendar>} calendar
+ * @param {Date} start
+ * @param {Date} [end] Defaults to `start`.
+ * @returns {Holiday[]}
+ */
+export function holidaysBetween(calendar, start, end = start) {
+    if (isNaN(start) || isNaN(end)) return [];
+    const first = zonedParts(start, SF_TIME_ZONE);
+    const last = zonedParts(end, SF_TIME_ZONE);
+    const lastKey = key(last.year, last.month, last.day);
+    const found = [];
+    for (let i = 0; i < 62; i++) {
+        const date = new Date(Date.UTC(first.year, first.month, first.day + i));
+        const day = key(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        if (day > lastKey) break;
+        const holiday = calendar.holidayOn(day);
+        if (holiday) found.push(holiday);
+    }
+    return found;
+}
+
+/**
+ * The San Francisco calendar day of an instant, "YYYY-MM-DD".
+ * @param {Date} date
+ * @returns {string}
+ */
+export function sfDayKey(date) {
+    const p = zonedParts(date, SF_TIME_ZONE);
+    return key(p.year, p.month, p.day);
+}
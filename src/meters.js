@@ -0,0 +1,114 @@
+import { formatClockTime, formatDays, parseDays, parseTimeRanges } from './time-parser.js';
+import { createSegmentIndex } from './geo.js';
+
+/**
+ * One metered operating window on a block.
+ * @typedef {object} MeterRule
+ * @property {Set<number> | null} days Days of week it operates (0=Sun), null for every day.
+ * @property {number} startMin Start in minutes from midnight.
+ * @property {number} endMin End in minutes from midnight.
+ * @property {number | null} ratePerHour Hourly rate in dollars, null when unknown.
+ * @property {number | null} limitMinutes Maximum paid stay, null when unlimited.
+ * @property {boolean} holidays True if the meter is not enforced on holidays.
+ * @property {boolean} assumedHours True when the record has no hours and SFMTA's standard schedule is assumed.
+ * @property {string} label Human-readable schedule, e.g. "Mon-Sat 9AM-6PM $3.00/hr, 2hr limit".
+ */
+
+// SFMTA's standard schedule, used when a meter record has no hours of its own
+const DEFAULT_DAYS = 'M-SA';
+const DEFAULT_HOURS = '9AM-6PM';
+const MATCH_DISTANCE_M = 15;
+
+/**
+ * Parses a meter rate such as "$3.50/hr", "3.5" or "$0.25 per 15 min" into dollars per hour.
+ * @param {string | number} value The rate from the dataset.
+ * @returns {number | null}
+ */
+export function parseRate(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    if (!value || typeof value !== 'string') return null;
+    const amount = parseFloat(value.replace(/[^\d.]+/, ''));
+    if (!Number.isFinite(amount)) return null;
+    const per = value.match(/per\s*(\d+)\s*min|\/\s*(\d+)\s*min/i);
+    return per ? amount * 60 / Number(per[1] || per[2]) : amount;
+}
+
+/**
+ * Parses a meter time limit such as "2 hr", "120 minutes" or "4" (hours) into minutes.
+ * @param {string | number} value The limit from the dataset.
+ * @returns {number | null}
+ */
+export function parseMeterLimit(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = parseFloat(String(value).replace(/[^\d.]+/, ''));
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+    return /min/i.test(String(value)) ? Math.round(amount) : Math.round(amount * 60);
+}
+
+function describe(days, startMin, endMin, ratePerHour, limitMinutes, assumedHours) {
+    const rate = ratePerHour === null ? 'rate not in data' : `$${ratePerHour.toFixed(2)}/hr`;
+    const limit = limitMinutes ? `, ${limitMinutes % 60 ? `${limitMinutes}min` : `${limitMinutes / 60}hr`} limit` : '';
+    const hours = assumedHours ? ' (standard hours assumed)' : '';
+    return `${formatDays(days)} ${formatClockTime(startMin)}-${formatClockTime(endMin)}${hours} ${rate}${limit}`;
+}
+
+/**
+ * Builds meter rules from a meter record. Understands `days`/`days_applied`,
+ * `hours` or `from_time`/`to_time`, `rate`/`rate_per_hour`, and `time_limit`.
+ * Meters without hours get SFMTA's standard Mon-Sat 9AM-6PM schedule. The city's live
+ * meter inventory lists posts only, so its meters all get that schedule and no rate.
+ * @param {object} props The meter feature properties.
+ * @returns {MeterRule[]}
+ */
+export function meterRulesFromRecord(props = {}) {
+    const days = parseDays(props.days || props.days_applied || DEFAULT_DAYS);
+    const recordHours = props.hours || (props.from_time && props.to_time ? `${props.from_time}-${props.to_time}` : null);
+    const assumedHours = !recordHours;
+    const hoursText = recordHours || DEFAULT_HOURS;
+    const windows = parseTimeRanges(hoursText) || [];
+    const ratePerHour = parseRate(props.rate ?? props.rate_per_hour ?? props.price);
+    const limitMinutes = parseMeterLimit(props.time_limit ?? props.hrlimit);
+    const holidays = !/^(1|true|yes)$/i.test(String(props.enforced_on_holidays ?? ''));
+
+    return windows.map(({ startMin, endMin, days: windowDays }) => ({
+        days: windowDays || days,
+        startMin,
+        endMin,
+        ratePerHour,
+        limitMinutes,
+        holidays,
+        assumedHours,
+        label: describe(windowDays || days, startMin, endMin, ratePerHour, limitMinutes, assumedHours),
+    }));
+}
+
+/**
+ * Attaches meter rules to the regulation segment nearest each meter post.
+ * Segments that gain meters are reclassified as "Metered" unless parking is
+ * already forbidden there.
+ * @param {object[]} features Compiled regulation features (see compileFeatures).
+ * @param {object | null} metersGeojson The meter FeatureCollection (Point features).
+ * @returns {object[]} New features whose `regulation.meters` lists the matched rules.
+ */
+export function attachMeters(features, metersGeojson) {
+    const meters = (metersGeojson?.features || []).filter(m => m.geometry?.type === 'Point');
+    if (meters.length === 0 || features.length === 0) return features;
+
+    const index = createSegmentIndex(features, f => f.geometry);
+    const rulesById = new Map();
+    for (const meter of meters) {
+        const [hit] = index.near(meter.geometry.coordinates, MATCH_DISTANCE_M);
+        if (!hit) continue;
+        const rules = rulesById.get(hit.item.id) || new Map();
+        // Posts on one block usually share a schedule; keep each distinct rule once
+        for (const rule of meterRulesFromRecord(meter.properties)) rules.set(rule.label, rule);
+        rulesById.set(hit.item.id, rules);
+    }
+
+    return features.map(f => {
+        const rules = rulesById.get(f.id);
+        if (!rules) return f;
+        const category = f.regulation.category === 'CannotPark' ? 'CannotPark' : 'Metered';
+        return { ...f, regulation: { ...f.regulation, category, meters: [...rules.values()] } };
+    });
+}
@@ -0,0 +1,107 @@
+import { lineMidpoint, pointGeometryDistance } from './geo.js';
+import { maxStayMinutes, nextSweeping } from './time-parser.js';
+
+// "I parked here": where the car is, and when it has to move.
+
+export const REMINDER_LEAD_MINUTES = 15;
+const MAX_SNAP_METERS = 30; // a located car further than this from any segment is kept unmatched
+
+/**
+ * @typedef {object} ParkedSession
+ * @property {string | null} featureId Segment the car is on, if known.
+ * @property {string} label Regulation text of that segment.
+ * @property {[number, number]} location [lng, lat]
+ * @property {string} parkedAt ISO time.
+ * @property {string | null} deadline ISO time the car has to move by; null when no rule ends the stay within a week.
+ * @property {string | null} sweepingAt ISO time of the next street cleaning on the segment, if any.
+ * @property {string[]} notified Keys of reminders already shown.
+ */
+
+/**
+ * @typedef {object} Reminder
+ * @property {string} key Stable id, recorded in `notified` once shown.
+ * @property {Date} at When to show it.
+ * @property {string} title
+ * @property {string} body
+ */
+
+/**
+ * Starts a session for a car parked on a segment.
+ * @param {object | null} feature Compiled feature the car is on; null when unknown.
+ * @param {[number, number] | null} location [lng, lat]; defaults to the middle of the segment.
+ * @param {Date} parkedAt
+ * @param {import('./time-parser.js').EvalOptions} [options]
+ * @returns {ParkedSession}
+ */
+export function startSession(feature, location, parkedAt, options = {}) {
+    const reg = feature?.regulation;
+    const stay = reg ? maxStayMinutes(reg, parkedAt, options) : null;
+    const sweeping = reg ? nextSweeping(reg, parkedAt, options) : null;
+    return {
+        featureId: feature?.id ?? null,
+        label: feature ? (feature.properties?.regulation || reg.category) : '',
+        location: location || lineMidpoint(feature.geometry),
+        parkedAt: parkedAt.toISOString(),
+        deadline: stay === null ? null : new Date(parkedAt.getTime() + stay * 60000).toISOString(),
+        sweepingAt: sweeping ? sweeping.toISOString() : null,
+        notified: [],
+    };
+}
+
+/**
+ * Finds the segment a located car is most likely on.
+ * @param {object[]} features Compiled features.
+ * @param {[number, number]} point [lng, lat]
+ * @returns {object | null} The closest feature within 30 m.
+ */
+export function nearestFeature(features, point) {
+    let best = null;
+    let bestDistance = MAX_SNAP_METERS;
+    for (const f of features) {
+        const distance = pointGeometryDistance(point, f.geometry);
+        if (distance <= bestDistance) {
+            best = f;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Reminders still to show for a session: one before the move-by deadline and one
+ * before street cleaning, unless cleaning is what sets the deadline.
+ * @param {ParkedSession} session
+ * @param {number} [leadMinutes] How long before each event to remind.
+ * @returns {Reminder[]}
+ */
+export function pendingReminders(session, leadMinutes = REMINDER_LEAD_MINUTES) {
+    const lead = leadMinutes * 60000;
+    const reminders = [];
+    if (session.deadline) {
+        reminders.push({
+            key: 'deadline',
+            at: new Date(Date.parse(session.deadline) - lead),
+            title: 'Time to move your car',
+            body: `Your parking ends in ${leadMinutes} minutes.`,
+        });
+    }
+    if (session.sweepingAt && session.sweepingAt !== session.deadline) {
+        reminders.push({
+            key: 'sweeping',
+            at: new Date(Date.parse(session.sweepingAt) - lead),
+            title: 'Street cleaning soon',
+            body: `Street cleaning starts in ${leadMinutes} minutes where you parked.`,
+        });
+    }
+    return reminders.filter(r => !session.notified.includes(r.key));
+}
+
+/**
+ * Asks for permission to show reminders. Call it from a click: browsers ignore
+ * permission requests that do not come from a user gesture.
+ */
+export function requestReminderPermission() {
+    if ('Notification' in globalThis && Notification.permission === 'default') {
+        Notification.requestPermission().catch(err => console.warn('[parked] Notification permission failed', err));
+    }
+}
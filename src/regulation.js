@@ -0,0 +1,177 @@
+import { parseDays, parseTimeRanges, parseExemptions, hasHolidayClause, isExempt } from './time-parser.js';
+import { applyVehicleProfile } from './vehicles.js';
+import { DEFAULT_RULE_SET, compileRules, matchRule } from './classification.js';
+
+const ALL_DAY = { startMin: 0, endMin: 1440, days: null };
+const DEFAULT_RULES = compileRules(DEFAULT_RULE_SET);
+
+/**
+ * A regulation compiled once from a feature's raw properties.
+ * @typedef {object} Regulation
+ * @property {Set<number> | null} days Days of week the rule applies (0=Sun), null for every day.
+ * @property {Array<{startMin: number, endMin: number, days: Set<number> | null}>} intervals Enforcement windows in
+ *   minutes from midnight; `days` overrides the rule's days for windows like "SA 8AM-12PM".
+ * @property {Array<Array<{startMin: number, endMin: number}>>} schedule Windows per day of week (index 0=Sun).
+ *   Overnight windows (endMin <= startMin) belong to the day they start on.
+ * @property {number | null} limitMinutes Maximum stay while enforced, null when unlimited.
+ * @property {string} category One of "CannotPark", "Metered", "TimeLimit", "NoRegulation", "Unknown",
+ *   as an ordinary car sees it; see applyVehicleProfile for other vehicles.
+ * @property {string | null} ruleId Classification rule that set the category, null if none matched.
+ * @property {string | null} target Kind of vehicle the rule is about, e.g. "loading" or "motorcycle".
+ * @property {{holidays: boolean, rpp: boolean, vehicles: string[], days: Set<number> | null, text: string}} exemptions
+ *   Who or when the rule does not apply, from the exceptions text and holiday clauses.
+ * @property {{name: string, limits: string} | null} street Street and cross streets, when a
+ *   matched street-sweeping record names them (see attachSweeping).
+ * @property {string[]} rppAreas Residential permit areas posted on the segment.
+ * @property {import('./sweeping').SweepingRule[]} sweeping Street-cleaning windows matched to the segment.
+ * @property {import('./meters').MeterRule[]} meters Meter schedules and rates matched to the segment.
+ * @property {{days: string, hours: string, hrlimit: string, regulation: string, exceptions: string}} source
+ *   The raw text it was built from.
+ */
+
+/**
+ * Identifies which kind of vehicle a rule is about, so vehicle profiles can
+ * read it differently (see vehicles.js).
+ * @param {object} props The feature properties.
+ * @returns {"loading" | "taxi" | "permit" | "motorcycle" | "oversized" | null}
+ */
+export function regulationTarget(props) {
+    const text = (props?.regulation || "").toLowerCase();
+    if (/motorcycle/.test(text)) return "motorcycle";
+    if (/over-?sized?|vehicles?\s+over\s+\d+/.test(text)) return "oversized";
+    if (/commercial|truck|loading/.test(text)) return "loading";
+    if (/taxi/.test(text)) return "taxi";
+    if (/permit\s*only|government/.test(text)) return "permit";
+    return null;
+}
+
+/**
+ * Classifies a regulation into a display category, as it applies to an ordinary car.
+ * @param {object} props The feature properties.
+ * @param {Array<object>} [rules] Compiled classification rules (see compileRules); the defaults if omitted.
+ * @returns {string} The category name.
+ */
+export function classifyRegulation(props, rules = DEFAULT_RULES) {
+    return matchRule(props, rules)?.category ?? "Unknown";
+}
+
+// A number and its unit in a limit; bare numbers are hours
+const LIMIT_PART = /(\d*\.?\d+)\s*(min(?:ute)?s?\b|m\b|h(?:ou)?rs?\b|h\b)?/gi;
+
+/**
+ * Parses an hour limit like "2", "0.5", "30 min" or "1 hr 30 min" into minutes.
+ * @param {string | number} value The hrlimit value from the dataset.
+ * @returns {number | null} The limit in minutes, or null if absent/invalid.
+ */
+export function parseHourLimit(value) {
+    if (typeof value === 'number') return value > 0 ? Math.round(value * 60) : null;
+    let minutes = 0;
+    for (const [, amount, unit] of String(value ?? '').matchAll(LIMIT_PART)) {
+        minutes += parseFloat(amount) * (/^m/i.test(unit ?? '') ? 1 : 60);
+    }
+    return minutes > 0 ? Math.round(minutes) : null;
+}
+
+/**
+ * Compiles a feature's raw properties into a Regulation.
+ * @param {object} props The feature properties.
+ * @param {Array<object>} [rules] Compiled classification rules (see compileRules); the defaults if omitted.
+ * @returns {Regulation}
+ */
+export function compileRegulation(props = {}, rules = DEFAULT_RULES) {
+    const days = parseDays(props.days);
+    const intervals = parseTimeRanges(props.hours) || [ALL_DAY];
+    const rule = matchRule(props, rules);
+    const category = rule?.category ?? "Unknown";
+    const rppAreas = [props.rpparea1, props.rpparea2, props.rpparea3]
+        .filter(Boolean)
+        .map(area => String(area).trim().toUpperCase());
+    const exemptions = parseExemptions(props.exceptions);
+    exemptions.holidays = exemptions.holidays || [props.days, props.hours, props.regulation].some(hasHolidayClause);
+    // A posted RPP area on a time-limited block means "except Area X permits"; tow-away still applies
+    exemptions.rpp = exemptions.rpp || (rppAreas.length > 0 && category !== "CannotPark");
+
+    const schedule = Array.from({ length: 7 }, () => []);
+    for (const { startMin, endMin, days: windowDays } of intervals) {
+        const applies = windowDays || days;
+        for (let d = 0; d < 7; d++) {
+            if ((!applies || applies.has(d)) && !exemptions.days?.has(d)) {
+                schedule[d].push({ startMin, endMin });
+            }
+        }
+    }
+
+    return {
+        days,
+        intervals,
+        schedule,
+        limitMinutes: parseHourLimit(props.hrlimit),
+        category,
+        ruleId: rule?.id ?? null,
+        target: regulationTarget(props),
+        exemptions,
+        rppAreas,
+        street: null,
+        sweeping: [],
+        meters: [],
+        source: {
+            days: props.days || "",
+            hours: props.hours || "",
+            hrlimit: props.hrlimit || "",
+            regulation: props.regulation || "",
+            exceptions: props.exceptions || "",
+        },
+    };
+}
+
+/**
+ * The category a regulation has for a particular driver: rules read through
+ * their vehicle profile, and segments the driver is exempt from (e.g. their
+ * own RPP area) read as unrestricted.
+ * @param {Regulation} reg The compiled regulation.
+ * @param {import('./time-parser').EvalOptions} [options]
+ * @returns {string}
+ */
+export function effectiveCategory(reg, options = {}) {
+    const forVehicle = applyVehicleProfile(reg, options.vehicle);
+    if (!isExempt(forVehicle, options)) return forVehicle.category;
+    return forVehicle.meters.length > 0 ? "Metered" : "NoRegulation";
+}
+
+// Small string hash (FNV-1a) for features without an id in the data
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+/**
+ * Returns a stable id for a feature: the dataset id if present, otherwise a
+ * hash of its geometry and regulation text.
+ * @param {object} feature A GeoJSON feature.
+ * @returns {string}
+ */
+export function featureId(feature) {
+    const p = feature.properties || {};
+    const id = feature.id ?? p.objectid ?? p.globalid;
+    if (id !== undefined && id !== null && id !== "") return String(id);
+    return `h${hashString(JSON.stringify(feature.geometry) + (p.regulation || "") + (p.days || "") + (p.hours || ""))}`;
+}
+
+/**
+ * Assigns stable ids and compiled regulations to every feature in a collection.
+ * @param {object} geojson A GeoJSON FeatureCollection.
+ * @param {Array<object>} [rules] Compiled classification rules (see compileRules); the defaults if omitted.
+ * @returns {object} A new FeatureCollection whose features carry `id` and `regulation`.
+ */
+export function compileFeatures(geojson, rules = DEFAULT_RULES) {
+    const features = (geojson?.features || []).map(f => ({
+        ...f,
+        id: featureId(f),
+        regulation: compileRegulation(f.properties, rules),
+    }));
+    return { ...geojson, type: "FeatureCollection", features };
+}
@@ -0,0 +1,118 @@
+import { effectiveCategory } from './regulation.js';
+import { isActiveAt, isMeteredAt, isSweepingAt } from './time-parser.js';
+import { SF_TIME_ZONE, zonedParts, zonedTimeToUtc } from './timezone.js';
+
+// A segment's week at a glance, for the detail panel. States follow At mode's
+// colors: street cleaning and active "Cannot Park" hours forbid parking, any other
+// active rule or a running meter limits it.
+
+const MINUTE_MS = 60000;
+const SCAN_STEP_MS = 5 * MINUTE_MS;
+const HORIZON_MS = 7 * 24 * 60 * MINUTE_MS;
+const SAMPLES_PER_HOUR = 4;
+const SEVERITY = { free: 0, limited: 1, forbidden: 2 };
+
+/**
+ * @typedef {"free" | "limited" | "forbidden"} ParkingState
+ */
+
+/**
+ * What a driver may do on a segment at an instant.
+ * @param {import('./regulation.js').Regulation} reg The compiled regulation.
+ * @param {Date} date
+ * @param {import('./time-parser.js').EvalOptions} [options]
+ * @returns {ParkingState}
+ */
+export function parkingStateAt(reg, date, options = {}) {
+    if (isSweepingAt(reg, date, options)) return 'forbidden';
+    const category = effectiveCategory(reg, options);
+    // Unregulated segments have no hours, which the schedule reads as "always"
+    const active = category !== 'NoRegulation' && isActiveAt(reg, date, options);
+    if (active && category === 'CannotPark') return 'forbidden';
+    return active || isMeteredAt(reg, date, options) ? 'limited' : 'free';
+}
+
+// Day of the month of the Monday starting the week; may be zero or negative
+function mondayOf(p) {
+    return p.day - (p.weekday + 6) % 7;
+}
+
+/**
+ * Midnight starting the week (Monday, San Francisco time) that contains `date`.
+ * Instants in the same week share it, so it keys a cached `weeklySchedule`.
+ * @param {Date} date
+ * @returns {number} Epoch milliseconds.
+ */
+export function weekStart(date) {
+    const p = zonedParts(date, SF_TIME_ZONE);
+    return zonedTimeToUtc(p.year, p.month, mondayOf(p), 0, 0, SF_TIME_ZONE);
+}
+
+/**
+ * The week (Monday to Sunday, San Francisco time) containing `date`, hour by hour.
+ * An hour takes the strictest state found in it, so a 30-minute cleaning still shows.
+ * @param {import('./regulation.js').Regulation} reg The compiled regulation.
+ * @param {Date} date Any instant in the week.
+ * @param {import('./time-parser.js').EvalOptions} [options]
+ * @returns {{days: Date[], cells: ParkingState[][]}} `days` holds each day's midnight;
+ *   `cells[day][hour]`.
+ */
+export function weeklySchedule(reg, date, options = {}) {
+    const p = zonedParts(date, SF_TIME_ZONE);
+    const monday = mondayOf(p);
+    const days = [];
+    const cells = [];
+    for (let d = 0; d < 7; d++) {
+        days.push(new Date(zonedTimeToUtc(p.year, p.month, monday + d, 0, 0, SF_TIME_ZONE)));
+        const row = [];
+        for (let hour = 0; hour < 24; hour++) {
+            let state = 'free';
+            for (let s = 0; s < SAMPLES_PER_HOUR; s++) {
+                const minute = s * 60 / SAMPLES_PER_HOUR;
+                const at = new Date(zonedTimeToUtc(p.year, p.month, monday + d, hour, minute, SF_TIME_ZONE));
+                const sample = parkingStateAt(reg, at, options);
+                if (SEVERITY[sample] > SEVERITY[state]) state = sample;
+            }
+            row.push(state);
+        }
+        cells.push(row);
+    }
+    return { days, cells };
+}
+
+/**
+ * Finds when the parking state next changes, looking up to a week ahead.
+ * @param {import('./regulation.js').Regulation} reg The compiled regulation.
+ * @param {Date} from
+ * @param {import('./time-parser.js').EvalOptions} [options]
+ * @returns {{state: ParkingState, at: Date} | null} The new state and when it starts
+ *   (to the minute), or null if nothing changes within the week.
+ */
+export function nextChange(reg, from, options = {}) {
+    const start = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+    const current = parkingStateAt(reg, new Date(start), options);
+    for (let t = start + SCAN_STEP_MS; t <= start + HORIZON_MS; t += SCAN_STEP_MS) {
+        if (parkingStateAt(reg, new Date(t), options) === current) continue;
+        // Rules change on whole minutes; find the first one in this step
+        for (let m = t - SCAN_STEP_MS + MINUTE_MS; m <= t; m += MINUTE_MS) {
+            const state = parkingStateAt(reg, new Date(m), options);
+            if (state !== current) return { state, at: new Date(m) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a `nextChange` result found from `from` still answers for `date`. Until the
+ * change it found, the state holds, so the next change is the same one; a week with
+ * no change is rechecked once `date` moves a scan step on.
+ * @param {{state: ParkingState, at: Date} | null} change
+ * @param {Date} from
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function changeStillAhead(change, from, date) {
+    const t = date.getTime();
+    if (!(t >= from.getTime())) return false;
+    return t < (change ? change.at.getTime() : from.getTime() + SCAN_STEP_MS);
+}
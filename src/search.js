@@ -0,0 +1,70 @@
+import { pointGeometryDistance } from './geo.js';
+import { createHolidayCalendar } from './holidays.js';
+import { evaluateRange } from './time-parser.js';
+
+// "Find me parking": ranks the segments around a destination for a planned stay.
+
+export const WALK_METERS_PER_MINUTE = 80;
+export const DEFAULT_SEARCH_RADIUS_M = 500;
+const MAX_RESULTS = 10;
+
+/**
+ * @typedef {object} SearchRequest
+ * @property {[number, number]} destination [lng, lat]
+ * @property {Date} arrival
+ * @property {number} durationMinutes
+ * @property {number} [radiusMeters] Straight-line search radius.
+ * @property {string[]} permits
+ * @property {string} vehicle
+ * @property {import('./holidays.js').HolidayOverrides} holidayOverrides
+ */
+
+/**
+ * @typedef {object} SearchResult
+ * @property {string} id Feature id.
+ * @property {number} distance Meters from the destination to the nearest point of the segment.
+ * @property {number} walkMinutes
+ * @property {number} coverage Fraction of the stay you may park there (see calculateCoverage).
+ * @property {"free" | "partial" | "metered" | "not-allowed"} status
+ * @property {number | null} cost Estimated meter cost for the stay.
+ * @property {boolean} coversStay True if you may park for the whole stay.
+ */
+
+/**
+ * Ranks nearby segments for a stay. Segments covering the whole stay come first,
+ * closest first; when none do, the rest follow as "next best" by how much of the
+ * stay they allow, then by distance. Segments allowing no parking are left out.
+ * @param {object[]} features Compiled features.
+ * @param {SearchRequest} request
+ * @returns {SearchResult[]} At most ten results.
+ */
+export function findParking(features, request) {
+    const { destination, durationMinutes, permits, vehicle, holidayOverrides } = request;
+    const radius = request.radiusMeters || DEFAULT_SEARCH_RADIUS_M;
+    const start = new Date(request.arrival);
+    const end = new Date(start.getTime() + durationMinutes * 60000);
+    if (isNaN(start) || !(durationMinutes > 0)) return [];
+    const options = { permits, vehicle, isHoliday: createHolidayCalendar(holidayOverrides).isHoliday };
+
+    const results = [];
+    for (const f of features) {
+        const distance = pointGeometryDistance(destination, f.geometry);
+        if (!(distance <= radius)) continue;
+        const { coverage, status, cost } = evaluateRange(f.regulation, start, end, options);
+        if (coverage <= 0) continue;
+        results.push({
+            id: f.id,
+            distance,
+            walkMinutes: Math.max(1, Math.round(distance / WALK_METERS_PER_MINUTE)),
+            coverage,
+            status,
+            cost,
+            coversStay: coverage >= 1,
+        });
+    }
+
+    results.sort((a, b) => (b.coversStay - a.coversStay)
+        || (a.coversStay ? 0 : b.coverage - a.coverage)
+        || a.distance - b.distance);
+    return results.slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,154 @@
+import { bboxOverlaps, geometryBounds } from './geo.js';
+
+// Rows for the sidebar list: the segments in view, described in words with the same
+// verdicts the map colors show, so the data can be read without the map.
+
+/** Availability filters offered by the list, as [id, label]. */
+export const AVAILABILITY_FILTERS = [
+    ['all', 'All'],
+    ['available', 'Can park'],
+    ['limited', 'Limited'],
+    ['unavailable', 'Cannot park'],
+];
+
+/** Sort orders offered by the list, as [id, label]. */
+export const SORT_ORDERS = [
+    ['availability', 'Availability'],
+    ['coverage', 'Coverage'],
+    ['name', 'Street'],
+];
+
+const RANK = { available: 0, limited: 1, unavailable: 2 };
+
+/**
+ * @typedef {object} SegmentRow
+ * @property {string} id Feature id.
+ * @property {string} label Street and cross streets when known, else the regulation text.
+ * @property {string} detail The posted regulation, when the label is the street.
+ * @property {string} category Category as it applies to the user.
+ * @property {"available" | "limited" | "unavailable"} availability
+ * @property {string} statusText Verdict for the selected time, e.g. "Max stay 2h".
+ * @property {number | null} coverage Share of the range you may park (Range mode only).
+ */
+
+/**
+ * A readable name for a segment.
+ * @param {object} feature A compiled feature.
+ * @returns {string}
+ */
+export function segmentLabel(feature) {
+    const street = feature.regulation?.street;
+    if (street?.name) return street.limits ? `${street.name} (${street.limits})` : street.name;
+    return feature.properties?.regulation || `Segment ${feature.id}`;
+}
+
+function describeMinutes(minutes) {
+    const h = Math.floor(minutes / 60), m = minutes % 60;
+    return [h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+}
+
+/**
+ * What a segment's line says in At and Range modes: street cleaning, or the category
+ * whose color it is drawn in. The map colors and the list verdicts both come from here.
+ * @param {import('./evaluation.js').FeatureStatus} status
+ * @param {"now" | "at" | "range" | "stay"} mode
+ * @returns {"sweeping" | "NoRegulation" | "Metered" | "TimeLimit" | "CannotPark" | null} Null in
+ *   Now and Stay modes, which color by rule and by length of stay.
+ */
+export function mapVerdict(status, mode) {
+    if (mode !== 'at' && mode !== 'range') return null;
+    // Street cleaning during the selected time outranks every other status
+    if (status.sweeping) return 'sweeping';
+    if (mode === 'range') {
+        if (status.coverage === undefined) return null;
+        if (status.coverage >= 1) return status.rangeStatus === 'metered' ? 'Metered' : 'NoRegulation';
+        return status.coverage > 0 ? 'TimeLimit' : 'CannotPark';
+    }
+    // Time limits still let you park, so only no-parking hours and running meters show.
+    // Meters keep their own hours and can run while the posted rule is off.
+    if (status.isActive && status.category === 'CannotPark') return 'CannotPark';
+    return status.metered ? 'Metered' : 'NoRegulation';
+}
+
+const VERDICT_AVAILABILITY = {
+    sweeping: 'unavailable',
+    NoRegulation: 'available',
+    Metered: 'limited',
+    TimeLimit: 'limited',
+    CannotPark: 'unavailable',
+};
+
+/**
+ * Whether and how a driver may park, matching the map colors of each mode.
+ * @param {import('./evaluation.js').FeatureStatus} status
+ * @param {"now" | "at" | "range" | "stay"} mode
+ * @returns {{availability: "available" | "limited" | "unavailable", text: string}}
+ */
+export function describeAvailability(status, mode) {
+    if (mode === 'stay') {
+        const minutes = status.stayMinutes;
+        if (minutes === null) return { availability: 'available', text: 'No limit' };
+        if (minutes === 0) return { availability: 'unavailable', text: 'No parking' };
+        const text = `Max stay ${describeMinutes(minutes)}`;
+        return { availability: 'limited', text: status.stayOvernight ? `${text}, overnight` : text };
+    }
+    const verdict = mapVerdict(status, mode);
+    if (verdict) {
+        const text = {
+            sweeping: 'Street cleaning',
+            NoRegulation: mode === 'at' && status.isActive && status.category === 'TimeLimit' ? 'Time limited' : 'Free',
+            Metered: 'Metered',
+            TimeLimit: `Free for ${Math.round(status.coverage * 100)}%`,
+            CannotPark: 'No parking',
+        }[verdict];
+        return { availability: VERDICT_AVAILABILITY[verdict], text };
+    }
+    // Now mode describes the rules, whenever they apply
+    if (status.category === 'CannotPark') return { availability: 'unavailable', text: 'No parking at posted times' };
+    if (status.category === 'NoRegulation') return { availability: 'available', text: 'No regulation' };
+    if (status.category === 'Unknown') return { availability: 'limited', text: 'Unknown rule' };
+    return { availability: 'limited', text: status.category === 'Metered' ? 'Metered' : 'Time limited' };
+}
+
+/**
+ * The segments drawn in an area, as list rows.
+ * @param {object[]} features Compiled features.
+ * @param {Object<string, import('./evaluation.js').FeatureStatus>} statuses Statuses by feature id.
+ * @param {object} view
+ * @param {{south: number, west: number, north: number, east: number}} view.bbox The visible area.
+ * @param {"now" | "at" | "range" | "stay"} view.mode
+ * @param {boolean} view.showInactive False when inactive segments are hidden on the map.
+ * @param {string} view.availability A filter id from AVAILABILITY_FILTERS.
+ * @param {string} view.sort A sort id from SORT_ORDERS.
+ * @returns {SegmentRow[]}
+ */
+export function listSegments(features, statuses, { bbox, mode, showInactive, availability, sort }) {
+    const rows = [];
+    for (const f of features) {
+        const status = statuses?.[f.id];
+        if (!status || (!showInactive && !status.isActive)) continue;
+        const bounds = geometryBounds(f.geometry);
+        if (!bounds || !bboxOverlaps(bounds, bbox)) continue;
+        const verdict = describeAvailability(status, mode);
+        if (availability !== 'all' && verdict.availability !== availability) continue;
+        const label = segmentLabel(f);
+        rows.push({
+            id: f.id,
+            label,
+            detail: f.regulation?.street?.name ? f.properties?.regulation || '' : '',
+            category: status.category,
+            availability: verdict.availability,
+            statusText: verdict.text,
+            coverage: status.coverage ?? null,
+        });
+    }
+
+    const byName = (a, b) => a.label.localeCompare(b.label) || String(a.id).localeCompare(String(b.id));
+    const byCoverage = (a, b) => (b.coverage ?? -1) - (a.coverage ?? -1);
+    const compare = {
+        availability: (a, b) => RANK[a.availability] - RANK[b.availability] || byCoverage(a, b) || byName(a, b),
+        coverage: (a, b) => byCoverage(a, b) || RANK[a.availability] - RANK[b.availability] || byName(a, b),
+        name: byName,
+    }[sort] || byName;
+    return rows.sort(compare);
+}
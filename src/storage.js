@@ -0,0 +1,34 @@
+// Small wrapper around localStorage for user settings that should survive reloads.
+// Failures (private mode, quota, corrupt JSON) fall back silently to defaults.
+
+const PREFIX = "sf-parking-map:";
+
+/**
+ * Reads a JSON setting.
+ * @template T
+ * @param {string} key Setting name, without the app prefix.
+ * @param {T} fallback Value to use when nothing valid is stored.
+ * @returns {T}
+ */
+export function loadSetting(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON setting; `undefined` removes it.
+ * @param {string} key Setting name, without the app prefix.
+ * @param {*} value Any JSON-serializable value.
+ */
+export function saveSetting(key, value) {
+    try {
+        if (value === undefined) window.localStorage.removeItem(PREFIX + key);
+        else window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    } catch (err) {
+        console.warn("[storage] Could not save", key, err);
+    }
+}
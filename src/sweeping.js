@@ -0,0 +1,135 @@
+import { formatClockTime, parseDays, parseTimeRange } from './time-parser.js';
+import { createSegmentIndex, lineMidpoint } from './geo.js';
+
+/**
+ * One recurring street-cleaning window.
+ * @typedef {object} SweepingRule
+ * @property {number} weekday Day of week (0=Sun).
+ * @property {Set<number>} weeks Weeks of the month it runs (1-5, by nth occurrence of the weekday).
+ * @property {number} startMin Start in minutes from midnight.
+ * @property {number} endMin End in minutes from midnight.
+ * @property {boolean} holidays True if cleaning is suspended on holidays.
+ * @property {string} side Block side, e.g. "North", when known.
+ * @property {string} label Human-readable schedule, e.g. "1st & 3rd Tue 8AM-10AM".
+ */
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function describe(weekday, weeks, startMin, endMin) {
+    const which = weeks.size === 5
+        ? 'Every'
+        : [...weeks].sort().map(w => ORDINALS[w - 1]).join(' & ');
+    return `${which} ${DAY_NAMES[weekday]} ${formatClockTime(startMin)}-${formatClockTime(endMin)}`;
+}
+
+/**
+ * Parses week-of-month schedule text like "1st & 3rd Tue 8-10am",
+ * "2nd and 4th Wednesday 12PM-2PM" or "Every Mon 6AM-8AM".
+ * @param {string} str The schedule text.
+ * @returns {SweepingRule[]} One rule per weekday named, empty if unrecognized.
+ */
+export function parseSweepingSchedule(str) {
+    if (!str || typeof str !== 'string') return [];
+
+    const weeks = new Set();
+    for (const [, n] of str.matchAll(/\b([1-5])\s*(?:st|nd|rd|th)\b/gi)) {
+        weeks.add(Number(n));
+    }
+    if (weeks.size === 0 || /\b(every|weekly|all)\b/i.test(str)) {
+        [1, 2, 3, 4, 5].forEach(w => weeks.add(w));
+    }
+
+    const range = parseTimeRange(str.replace(/\b[1-5]\s*(?:st|nd|rd|th)\b/gi, ' '));
+    const dayText = str
+        .replace(/\b[1-5]\s*(?:st|nd|rd|th)\b|\b(every|weekly|all|and)\b/gi, ' ')
+        .replace(/\d{1,2}(?::?\d{2})?\s*(?:am|pm)?\s*(?:-|to)\s*\d{1,2}(?::?\d{2})?\s*(?:am|pm)?/gi, ' ');
+    const days = parseDays(dayText);
+    if (!range || !days) return [];
+
+    // Cleaning is suspended on holidays unless the sign says otherwise
+    const holidays = !/\bincluding\s+holidays\b/i.test(str);
+    return [...days].map(weekday => ({
+        weekday,
+        weeks: new Set(weeks),
+        startMin: range.startMin,
+        endMin: range.endMin,
+        holidays,
+        side: '',
+        label: describe(weekday, weeks, range.startMin, range.endMin),
+    }));
+}
+
+/**
+ * Builds sweeping rules from a record of the street-sweeping dataset, which
+ * carries `weekday`, `fromhour`, `tohour`, `week1`..`week5` and `holidays` fields.
+ * Falls back to parsing free text in `schedule` when those are absent.
+ * @param {object} props The sweeping feature properties.
+ * @returns {SweepingRule[]}
+ */
+export function sweepingRulesFromRecord(props = {}) {
+    if (props.schedule) return parseSweepingSchedule(props.schedule);
+
+    const days = parseDays(props.weekday || props.fullname);
+    const startHour = parseFloat(props.fromhour);
+    const endHour = parseFloat(props.tohour);
+    if (!days || !Number.isFinite(startHour) || !Number.isFinite(endHour)) return [];
+
+    const weeks = new Set([1, 2, 3, 4, 5].filter(w => String(props[`week${w}`]) === '1' || props[`week${w}`] === true));
+    if (weeks.size === 0) return [];
+
+    const startMin = Math.round(startHour * 60);
+    const endMin = Math.round(endHour * 60);
+    return [...days].map(weekday => ({
+        weekday,
+        weeks,
+        startMin,
+        endMin,
+        // The dataset flags streets that ARE swept on holidays
+        holidays: !(String(props.holidays) === '1' || props.holidays === true),
+        side: props.blockside || props.cnnrightleft || '',
+        label: describe(weekday, weeks, startMin, endMin),
+    }));
+}
+
+const MATCH_DISTANCE_M = 20;
+
+/**
+ * Attaches street-sweeping rules to regulation features. Records are matched by
+ * `cnn` (street centerline id) when both sides have it, otherwise by proximity
+ * of the regulation segment's midpoint to the sweeping line.
+ * @param {object[]} features Compiled regulation features (see compileFeatures).
+ * @param {object | null} sweepingGeojson The street-sweeping FeatureCollection.
+ * @returns {object[]} New features whose `regulation.sweeping` lists the matched rules,
+ *   and whose `regulation.street` names the street when the sweeping record does.
+ */
+export function attachSweeping(features, sweepingGeojson) {
+    const records = (sweepingGeojson?.features || [])
+        .map(f => ({ feature: f, rules: sweepingRulesFromRecord(f.properties) }))
+        .filter(r => r.rules.length > 0);
+    if (records.length === 0) return features;
+
+    const byCnn = new Map();
+    for (const record of records) {
+        const cnn = record.feature.properties?.cnn;
+        if (cnn) {
+            if (!byCnn.has(cnn)) byCnn.set(cnn, []);
+            byCnn.get(cnn).push(record);
+        }
+    }
+    const index = createSegmentIndex(records, r => r.feature.geometry);
+
+    return features.map(f => {
+        const cnn = f.properties?.cnn;
+        let matched = cnn && byCnn.get(cnn);
+        if (!matched) {
+            const mid = lineMidpoint(f.geometry);
+            matched = mid ? index.near(mid, MATCH_DISTANCE_M).map(hit => hit.item) : [];
+        }
+        if (matched.length === 0) return f;
+        const named = matched.find(r => r.feature.properties?.corridor)?.feature.properties;
+        const street = f.regulation.street
+            || (named ? { name: named.corridor, limits: String(named.limits || '').replace(/\s+-\s+/, ' - ').trim() } : null);
+        return { ...f, regulation: { ...f.regulation, sweeping: matched.flatMap(r => r.rules), street } };
+    });
+}
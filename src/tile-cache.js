@@ -0,0 +1,259 @@
+import { bboxOverlaps, geometryBounds } from './geo.js';
+import { featureId } from './regulation.js';
+import { loadLayers } from './data-providers.js';
+
+// Network data is cached per grid tile so panning only fetches the cells that
+// are new to the view. Tiles live in memory and, where available, in IndexedDB
+// so they survive reloads until they expire.
+
+export const TILE_DEG = 0.01; // ~1.1 km tiles
+export const MAX_TILES = 64; // larger views are loaded in one request, uncached
+const DEFAULT_TTL_MS = 24 * 3600 * 1000;
+const MEMORY_TILES = 400;
+const DB_NAME = 'sf-parking-map';
+const STORE = 'tiles';
+const LAYERS = ['regulations', 'sweeping', 'meters'];
+
+/**
+ * Lists the tiles covering a bounding box.
+ * @param {{south: number, west: number, north: number, east: number}} bbox
+ * @returns {string[]} Tile keys, "x:y".
+ */
+export function tilesForBbox(bbox) {
+    const keys = [];
+    for (let y = Math.floor(bbox.south / TILE_DEG); y <= Math.floor(bbox.north / TILE_DEG); y++) {
+        for (let x = Math.floor(bbox.west / TILE_DEG); x <= Math.floor(bbox.east / TILE_DEG); x++) {
+            keys.push(`${x}:${y}`);
+        }
+    }
+    return keys;
+}
+
+/**
+ * The area of a tile.
+ * @param {string} key A tile key from tilesForBbox.
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function tileBbox(key) {
+    const [x, y] = key.split(':').map(Number);
+    return { south: y * TILE_DEG, west: x * TILE_DEG, north: (y + 1) * TILE_DEG, east: (x + 1) * TILE_DEG };
+}
+
+// Resolves to null when IndexedDB is missing or refused (Node, private browsing)
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise(resolve => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            console.warn('[tiles] IndexedDB unavailable, caching in memory only', req.error);
+            resolve(null);
+        };
+    });
+}
+
+function inStore(db, mode, run) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = run(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Creates a tile cache. Entries older than `ttlMs` count as missing and are
+ * pruned from IndexedDB when it is opened.
+ * @param {{ttlMs?: number}} [options]
+ * @returns {{get: (key: string) => Promise<object | null>, set: (key: string, layers: object) => Promise<void>, clear: () => Promise<void>}}
+ */
+export function createTileCache({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    const memory = new Map();
+    let dbPromise = null;
+    const isFresh = (entry) => entry && Date.now() - entry.fetchedAt < ttlMs;
+
+    const database = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase().then(async db => {
+                if (!db) return null;
+                await inStore(db, 'readwrite', store => {
+                    const cursor = store.openCursor();
+                    cursor.onsuccess = () => {
+                        const c = cursor.result;
+                        if (!c) return;
+                        if (!isFresh(c.value)) c.delete();
+                        c.continue();
+                    };
+                }).catch(err => console.warn('[tiles] prune failed', err));
+                return db;
+            });
+        }
+        return dbPromise;
+    };
+
+    const remember = (key, entry) => {
+        memory.delete(key);
+        memory.set(key, entry);
+        // Map keeps insertion order, so the first key is the least recently used
+        if (memory.size > MEMORY_TILES) memory.delete(memory.keys().next().value);
+    };
+
+    return {
+        async get(key) {
+            const cached = memory.get(key);
+            if (isFresh(cached)) {
+                remember(key, cached);
+                return cached.layers;
+            }
+            const db = await database();
+            const stored = db && await inStore(db, 'readonly', store => store.get(key)).catch(() => null);
+            if (!isFresh(stored)) return null;
+            remember(key, stored);
+            return stored.layers;
+        },
+        async set(key, layers) {
+            const entry = { fetchedAt: Date.now(), layers };
+            remember(key, entry);
+            const db = await database();
+            if (db) await inStore(db, 'readwrite', store => store.put(entry, key)).catch(err => console.warn('[tiles] write failed', err));
+        },
+        async clear() {
+            memory.clear();
+            const db = await database();
+            if (db) await inStore(db, 'readwrite', store => store.clear());
+        },
+    };
+}
+
+// Missing tiles merged into horizontal runs, so a pan fetches one strip instead of many cells
+function tileRuns(keys) {
+    const rows = new Map();
+    for (const key of keys) {
+        const [x, y] = key.split(':').map(Number);
+        if (!rows.has(y)) rows.set(y, []);
+        rows.get(y).push(x);
+    }
+    const runs = [];
+    for (const [y, xs] of rows) {
+        xs.sort((a, b) => a - b);
+        let run = null;
+        for (const x of xs) {
+            if (run && x === run.lastX + 1) {
+                run.keys.push(`${x}:${y}`);
+                run.lastX = x;
+            } else {
+                run = { keys: [`${x}:${y}`], lastX: x };
+                runs.push(run);
+            }
+        }
+    }
+    return runs.map(({ keys: runKeys }) => ({
+        keys: runKeys,
+        bbox: { ...tileBbox(runKeys[0]), east: tileBbox(runKeys[runKeys.length - 1]).east },
+    }));
+}
+
+// Splits a run's response into per-tile feature lists; features crossing a border go in both
+function splitByTile(result, keys) {
+    const tiles = new Map(keys.map(key => [key, { regulations: [], sweeping: [], meters: [] }]));
+    const boxes = keys.map(key => [key, tileBbox(key)]);
+    for (const layer of LAYERS) {
+        for (const feature of result[layer]?.features || []) {
+            const bounds = geometryBounds(feature.geometry);
+            if (!bounds) continue;
+            for (const [key, box] of boxes) {
+                if (bboxOverlaps(bounds, box)) tiles.get(key)[layer].push(feature);
+            }
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Loads every layer for a bounding box from a provider's tile cache, fetching
+ * only the tiles that are missing or expired. Features are de-duplicated by id.
+ * Views wider than MAX_TILES tiles skip the cache and are loaded in one request.
+ * Providers without a `cacheKey` (local files) are queried directly.
+ * @param {import('./data-providers.js').DataProvider} provider
+ * @param {{south: number, west: number, north: number, east: number}} bbox
+ * @param {object} options
+ * @param {ReturnType<typeof createTileCache>} options.cache
+ * @param {number} [options.limit] Per-request feature limit.
+ * @param {string} [options.token]
+ * @param {AbortSignal} [options.signal] Aborts outstanding fetches; nothing is cached for them.
+ * @param {(missing: number) => void} [options.onFetch] Called before fetching, with the number of missing tiles.
+ * @param {(partial: {regulations: object, sweeping: object, meters: object}) => void} [options.onProgress]
+ *   Called as pages arrive with everything loaded so far, so the map can fill in progressively.
+ * @returns {Promise<{regulations: object, sweeping: object, meters: object, truncated: string[]}>}
+ *   FeatureCollections, plus the layers that hit the `limit` somewhere in the view.
+ */
+export async function loadTiles(provider, bbox, { cache, limit, token, signal, onFetch, onProgress }) {
+    if (!provider.cacheKey) {
+        const result = await loadLayers(provider, { bbox, limit, token, signal });
+        return { ...result, truncated: LAYERS.filter(layer => result[layer]?.truncated) };
+    }
+
+    const keys = tilesForBbox(bbox);
+    if (keys.length > MAX_TILES) {
+        onFetch?.(keys.length);
+        return loadUntiled(provider, bbox, { limit, token, signal, onProgress });
+    }
+
+    const tiles = new Map();
+    const missing = [];
+    for (const key of keys) {
+        const layers = await cache.get(`${provider.cacheKey}:${key}`);
+        if (layers) tiles.set(key, layers);
+        else missing.push(key);
+    }
+
+    const truncated = new Set();
+    if (missing.length > 0) {
+        onFetch?.(missing.length);
+        // Pages of runs still loading, shown alongside the finished tiles
+        const pending = new Set();
+        await Promise.all(tileRuns(missing).map(async run => {
+            const partial = { regulations: [], sweeping: [], meters: [] };
+            pending.add(partial);
+            const onPage = onProgress && ((layer, features) => {
+                partial[layer].push(...features);
+                onProgress(mergeLayers([...tiles.values(), ...pending]));
+            });
+            const result = await loadLayers(provider, { bbox: run.bbox, limit, token, signal, onPage });
+            pending.delete(partial);
+            const cut = LAYERS.filter(layer => result[layer]?.truncated);
+            cut.forEach(layer => truncated.add(layer));
+            for (const [key, layers] of splitByTile(result, run.keys)) {
+                tiles.set(key, layers);
+                // Don't keep incomplete tiles; they are fetched again on the next move
+                if (result.failed.length === 0 && cut.length === 0) await cache.set(`${provider.cacheKey}:${key}`, layers);
+            }
+        }));
+    }
+
+    return { ...mergeLayers(tiles.values()), truncated: [...truncated] };
+}
+
+// Zoomed-out views cover too many tiles to fetch one run each; they are loaded in a
+// single request, still capped by `limit`, and not cached since they are rarely repeated
+async function loadUntiled(provider, bbox, { limit, token, signal, onProgress }) {
+    const partial = { regulations: [], sweeping: [], meters: [] };
+    const onPage = onProgress && ((layer, features) => {
+        partial[layer].push(...features);
+        onProgress(mergeLayers([partial]));
+    });
+    const result = await loadLayers(provider, { bbox, limit, token, signal, onPage });
+    return { ...result, truncated: LAYERS.filter(layer => result[layer]?.truncated) };
+}
+
+// Combines per-tile feature lists into one FeatureCollection per layer
+function mergeLayers(tileLayers) {
+    const byLayer = Object.fromEntries(LAYERS.map(layer => [layer, new Map()]));
+    for (const layers of tileLayers) {
+        for (const layer of LAYERS) {
+            for (const feature of layers[layer]) byLayer[layer].set(featureId(feature), feature);
+        }
+    }
+    return Object.fromEntries(LAYERS.map(layer => [layer, { type: 'FeatureCollection', features: [...byLayer[layer].values()] }]));
+}
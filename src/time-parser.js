@@ -1,41 +1,117 @@
+import { SF_TIME_ZONE, zonedParts, zonedTimeToUtc } from './timezone.js';
+import { applyVehicleProfile } from './vehicles.js';
+
+// Known spellings of each day; anything else is left for unparsedDayTokens to report
 const DAY_MAP = {
-    SU: 0, MO: 1, M: 1, TU: 2, WE: 3, W: 3, TH: 4, FR: 5, F: 5, SA: 6,
+    SU: 0, SUN: 0, SUNDAY: 0, SUNDAYS: 0,
+    M: 1, MO: 1, MON: 1, MONDAY: 1, MONDAYS: 1,
+    TU: 2, TUE: 2, TUES: 2, TUESDAY: 2, TUESDAYS: 2,
+    W: 3, WE: 3, WED: 3, WEDNESDAY: 3, WEDNESDAYS: 3,
+    TH: 4, THU: 4, THUR: 4, THURS: 4, THURSDAY: 4, THURSDAYS: 4,
+    F: 5, FR: 5, FRI: 5, FRIDAY: 5, FRIDAYS: 5,
+    SA: 6, SAT: 6, SATURDAY: 6, SATURDAYS: 6,
 };
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Matches "except holidays", "ex. hol", "holidays excepted" and similar clauses
+const HOLIDAY_CLAUSE = /\b(?:except|exc?\.?|excl\.?)\s*(?:on\s+)?(?:state\s+|city\s+)?hol(?:iday)?s?\.?\b|\bhol(?:iday)?s?\s+(?:excepted|exempt)\b/gi;
 
 /**
- * Parses a day string like "M-F", "SA,SU" into a Set of day numbers (0=Sun).
- * @param {string} str The day string from the dataset.
- * @returns {Set<number> | null} A set of day numbers or null if empty/invalid.
+ * Resolves a single day token ("M", "TU", "Thurs", "Saturday") to a day number.
+ * @param {string} token An upper-case token.
+ * @returns {number | undefined}
  */
-export function parseDays(str) {
-    if (!str || typeof str !== 'string') return null;
+function dayFromToken(token) {
+    return token in DAY_MAP ? DAY_MAP[token] : undefined;
+}
 
+/**
+ * Parses a list of day tokens and ranges (without "except" clauses).
+ * @param {string} str An upper-case day list.
+ * @returns {Set<number>}
+ */
+function parseDayList(str) {
     const days = new Set();
-    const parts = str.toUpperCase().split(/[,;\s]+/);
+    if (/\b(DAILY|EVERY\s*DAY|ALL\s*DAYS|7\s*DAYS)\b/.test(str)) {
+        ALL_DAYS.forEach(d => days.add(d));
+    }
 
+    const parts = str.replace(/\s*(?:-|\bTHRU\b|\bTHROUGH\b|\bTO\b)\s*/g, '-').split(/[,;/&\s]+/);
     for (const part of parts) {
         if (part.includes('-')) {
             const [startStr, endStr] = part.split('-');
-            const start = DAY_MAP[startStr.trim()];
-            const end = DAY_MAP[endStr.trim()];
+            const start = dayFromToken(startStr.replace(/[^A-Z]/g, ''));
+            const end = dayFromToken(endStr.replace(/[^A-Z]/g, ''));
             if (start !== undefined && end !== undefined) {
-                for (let i = start; i <= end; i++) {
+                // Ranges may wrap past Saturday, e.g. "SA-M"
+                for (let i = start; ; i = (i + 1) % 7) {
                     days.add(i);
+                    if (i === end) break;
                 }
             }
         } else {
-            const day = DAY_MAP[part.trim()];
+            const day = dayFromToken(part.replace(/[^A-Z]/g, ''));
             if (day !== undefined) {
                 days.add(day);
             }
         }
     }
+    return days;
+}
+
+/**
+ * Checks whether a piece of sign text carries a holiday exemption clause.
+ * @param {string} str Any regulation text.
+ * @returns {boolean}
+ */
+export function hasHolidayClause(str) {
+    if (!str || typeof str !== 'string') return false;
+    return new RegExp(HOLIDAY_CLAUSE.source, 'i').test(str);
+}
+
+/**
+ * Parses a day string like "M-F", "SA,SU", "SA-M" or "M-SA except SU" into a
+ * Set of day numbers (0=Sun). Holiday clauses are ignored here; see hasHolidayClause.
+ * @param {string} str The day string from the dataset.
+ * @returns {Set<number> | null} A set of day numbers or null if empty/invalid.
+ */
+export function parseDays(str) {
+    if (!str || typeof str !== 'string') return null;
+
+    const [included, ...excluded] = str.toUpperCase().replace(HOLIDAY_CLAUSE, ' ').split(/\bEXCEPT\b|\bEXC?\b\.?/);
+    const days = parseDayList(included);
+    for (const part of excluded) {
+        parseDayList(part).forEach(d => days.delete(d));
+    }
     return days.size > 0 ? days : null;
 }
 
 /**
- * Parses a time string into minutes from midnight.
- * Handles "HHMM-HHMM", "8am-7pm", "09:00-18:00", "ANYTIME".
+ * Lists the parts of a day string that parseDays skips, such as "T" (Tuesday or
+ * Thursday?) or "WEEKDAYS".
+ * @param {string} str The day string from the dataset.
+ * @returns {string[]} The skipped tokens, empty when everything was understood.
+ */
+export function unparsedDayTokens(str) {
+    if (!str || typeof str !== 'string') return [];
+    const text = str.toUpperCase()
+        .replace(HOLIDAY_CLAUSE, ' ')
+        .replace(/\b(DAILY|EVERY\s*DAY|ALL\s*DAYS|7\s*DAYS)\b/g, ' ')
+        .replace(/\bEXCEPT\b|\bEXC?\b\.?/g, ' ')
+        .replace(/\s*(?:-|\bTHRU\b|\bTHROUGH\b|\bTO\b|\bAND\b)\s*/g, ' ');
+    return text.split(/[,;/&\s]+/).filter(token => {
+        const letters = token.replace(/[^A-Z]/g, '');
+        return /[A-Z0-9]/.test(token) && (!letters || dayFromToken(letters) === undefined);
+    });
+}
+
+// One clock time: "9", "0900", "9:30", "9am", "9 p.m.", "noon", "midnight"
+const CLOCK = String.raw`(\d{1,2})(?::?(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?`;
+const TIME_WINDOW = new RegExp(`${CLOCK}\\s*(?:-|to|thru|through|until)\\s*${CLOCK}`, 'i');
+
+/**
+ * Parses a single time window into minutes from midnight.
+ * Handles "HHMM-HHMM", "8am-7pm", "09:00-18:00", "noon-6pm", "ANYTIME".
  * @param {string} str The time string.
  * @returns {{startMin: number, endMin: number} | null}
  */
@@ -44,235 +120,505 @@ export function parseTimeRange(str) {
         return { startMin: 0, endMin: 1440 };
     }
 
-    const cleaned = str.toLowerCase().replace(/\s/g, '');
-
-    // Priority 1: HHMM-HHMM format (e.g., "0900-1800")
-    let match = cleaned.match(/^(\d{3,4})-(\d{3,4})$/);
-    if (match) {
-        const startStr = match[1].padStart(4, '0');
-        const endStr = match[2].padStart(4, '0');
-        const startHour = parseInt(startStr.substring(0, 2), 10);
-        const startMin = parseInt(startStr.substring(2, 4), 10);
-        const endHour = parseInt(endStr.substring(0, 2), 10);
-        const endMin = parseInt(endStr.substring(2, 4), 10);
-        return { startMin: startHour * 60 + startMin, endMin: endHour * 60 + endMin };
+    const cleaned = str.toLowerCase().replace(/\bnoon\b/g, '12pm').replace(/\bmidnight\b/g, '12am');
+    const match = cleaned.match(TIME_WINDOW);
+    if (!match) return null; // Return null if no format matches
+
+    const [, h1, m1, ap1, h2, m2, ap2] = match;
+    const ampm1 = ap1 && ap1[0];
+    const ampm2 = ap2 && ap2[0];
+
+    let startHour = parseInt(h1, 10);
+    const startMin = parseInt(m1 || '0', 10);
+    let endHour = parseInt(h2, 10);
+    const endMin = parseInt(m2 || '0', 10);
+    if (startHour > 24 || endHour > 24 || startMin > 59 || endMin > 59) return null;
+
+    if (ampm1 === 'p' && startHour < 12) startHour += 12;
+    if (ampm1 === 'a' && startHour === 12) startHour = 0; // Midnight case
+    if (ampm2 === 'p' && endHour < 12) endHour += 12;
+    if (ampm2 === 'a' && endHour === 12) endHour = 0;
+
+    // A single am/pm suffix applies to whichever side makes the window sensible
+    if (ampm2 && !ampm1) {
+        if (endHour < startHour || (endHour === startHour && endMin < startMin)) {
+            if (startHour < 12) startHour += 12;
+        }
+    } else if (ampm1 && !ampm2) {
+        if (endHour < startHour && endHour < 12) endHour += 12;
     }
+    return { startMin: startHour * 60 + startMin, endMin: endHour * 60 + endMin };
+}
 
-    // Priority 2: More complex am/pm format (e.g., "8am-6pm", "9:30am-5pm")
-    match = cleaned.match(/^(\d{1,2})(:?(\d{2}))?(am|pm)?-(\d{1,2})(:?(\d{2}))?(am|pm)?$/);
-    if (match) {
-        let [, h1, m1, ampm1, h2, m2, ampm2] = match;
+/**
+ * Parses an hours string that may contain several windows, each optionally
+ * prefixed or suffixed with its own days: "7AM-9AM, 4PM-6PM",
+ * "M-F 7AM-6PM; SA 8AM-12PM", "0700-0900 & 1600-1800".
+ * @param {string} str The hours string from the dataset.
+ * @returns {Array<{startMin: number, endMin: number, days: Set<number> | null}> | null}
+ *   The windows, or null if no window could be recognized.
+ */
+export function parseTimeRanges(str) {
+    if (!str || typeof str !== 'string' || str.toUpperCase().includes('ANYTIME') || str.toUpperCase().includes('24 HR')) {
+        return [{ startMin: 0, endMin: 1440, days: null }];
+    }
 
-        let startHour = parseInt(h1, 10);
-        let startMin = parseInt(m1 || '0', 10);
-        let endHour = parseInt(h2, 10);
-        let endMin = parseInt(m2 || '0', 10);
+    const windows = [];
+    const chunks = str.replace(HOLIDAY_CLAUSE, ' ').split(/[,;&]|\band\b/i);
+    for (const chunk of chunks) {
+        const range = parseTimeRange(chunk);
+        if (!range) continue;
+        // Anything around the time window in this chunk names the days it applies to
+        const dayText = chunk.toLowerCase().replace(/\bnoon\b|\bmidnight\b/g, '').replace(TIME_WINDOW, ' ');
+        windows.push({ ...range, days: parseDays(dayText) });
+    }
+    return windows.length > 0 ? windows : null;
+}
 
-        if (ampm1 === 'pm' && startHour < 12) startHour += 12;
-        if (ampm1 === 'am' && startHour === 12) startHour = 0; // Midnight case
-        if (ampm2 === 'pm' && endHour < 12) endHour += 12;
-        if (ampm2 === 'am' && endHour === 12) endHour = 0;
+/**
+ * Lists the parts of an hours string that parseTimeRanges skips because they hold
+ * no recognizable time window.
+ * @param {string} str The hours string from the dataset.
+ * @returns {string[]} The skipped parts, empty when everything was understood.
+ */
+export function unparsedTimeChunks(str) {
+    if (!str || typeof str !== 'string' || str.toUpperCase().includes('ANYTIME') || str.toUpperCase().includes('24 HR')) {
+        return [];
+    }
+    return str.replace(HOLIDAY_CLAUSE, ' ')
+        .split(/[,;&]|\band\b/i)
+        .map(chunk => chunk.trim())
+        .filter(chunk => chunk && !parseTimeRange(chunk));
+}
 
-        if (ampm2 && !ampm1) {
-            if (endHour < startHour || (endHour === startHour && endMin < startMin)) {
-                if (startHour < 12) startHour += 12;
-            }
-        }
-        return { startMin: startHour * 60 + startMin, endMin: endHour * 60 + endMin };
+/**
+ * Parses exemption text such as "RPP holders exempt", "Except holidays",
+ * "Commercial vehicles excepted" or "Except Sunday".
+ * @param {string} str The exceptions text from the dataset.
+ * @returns {{holidays: boolean, rpp: boolean, vehicles: string[], days: Set<number> | null, text: string}}
+ */
+export function parseExemptions(str) {
+    const text = typeof str === 'string' ? str.trim() : '';
+    const lower = text.toLowerCase();
+    const vehicles = [];
+    if (/commercial|delivery|truck/.test(lower)) vehicles.push('commercial');
+    if (/disab|placard|blue\s*zone/.test(lower)) vehicles.push('disabled');
+    if (/motorcycle|m\/c\b/.test(lower)) vehicles.push('motorcycle');
+    if (/car\s*share/.test(lower)) vehicles.push('carshare');
+
+    // Days named after "except", e.g. "Except Sunday"
+    const exceptDays = lower.split(/\bexcept\b/).slice(1).join(' ');
+    const days = exceptDays ? parseDays(exceptDays.replace(HOLIDAY_CLAUSE, ' ')) : null;
+
+    return {
+        holidays: hasHolidayClause(text),
+        rpp: /\brpp\b|residential\s*permit|permit\s*holders?|area\s+[a-z]{1,2}\s+permit/.test(lower),
+        vehicles,
+        days,
+        text,
+    };
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Formats minutes from midnight as a sign-style clock time, e.g. 570 -> "9:30AM".
+ * @param {number} min Minutes from midnight (1440 reads as midnight).
+ * @returns {string}
+ */
+export function formatClockTime(min) {
+    const h = Math.floor(min / 60) % 24;
+    const m = min % 60;
+    const suffix = h < 12 ? 'AM' : 'PM';
+    const h12 = h % 12 === 0 ? 12 : h % 12;
+    return m ? `${h12}:${String(m).padStart(2, '0')}${suffix}` : `${h12}${suffix}`;
+}
+
+/**
+ * Formats a day set compactly, e.g. {1,2,3,4,5} -> "Mon-Fri", {0,6} -> "Sat, Sun".
+ * @param {Set<number> | null} days Day numbers (0=Sun); null means every day.
+ * @returns {string}
+ */
+export function formatDays(days) {
+    if (!days || days.size === 7) return 'Daily';
+    // Start from Monday so weekend runs read naturally
+    const order = [1, 2, 3, 4, 5, 6, 0].filter(d => days.has(d));
+    const runs = [];
+    for (const d of order) {
+        const run = runs[runs.length - 1];
+        if (run && (run.end + 1) % 7 === d) run.end = d;
+        else runs.push({ start: d, end: d });
+    }
+    const last = runs[runs.length - 1];
+    if (runs.length > 1 && (last.end + 1) % 7 === runs[0].start) {
+        runs[0].start = last.start; // Wraps past Sunday, e.g. "Sat-Mon"
+        runs.pop();
     }
+    return runs
+        .map(({ start, end }) => (start === end ? DAY_LABELS[start] : `${DAY_LABELS[start]}-${DAY_LABELS[end]}`))
+        .join(', ');
+}
+
+/**
+ * Optional context for evaluating a regulation for a particular driver.
+ * @typedef {object} EvalOptions
+ * @property {(day: string, kind?: string) => boolean} [isHoliday] Whether a calendar day ("YYYY-MM-DD") is a
+ *   holiday; with kind "meters", whether meters are suspended that day (see holidays.js).
+ * @property {string[]} [permits] RPP areas the driver holds permits for.
+ * @property {string} [vehicle] The driver's vehicle profile id, e.g. "commercial" (see vehicles.js).
+ * @property {string} [timeZone] Zone the posted hours are in; San Francisco unless overridden.
+ */
+
+/**
+ * Checks whether the driver described by `options` is exempt from a regulation
+ * outright (permit or vehicle exemptions), independent of time.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {EvalOptions} [options]
+ * @returns {boolean}
+ */
+export function isExempt(reg, options = {}) {
+    const { exemptions, rppAreas } = reg;
+    if (exemptions.rpp && options.permits?.some(area => rppAreas.includes(area))) return true;
+    if (options.vehicle && exemptions.vehicles.includes(options.vehicle)) return true;
+    return false;
+}
 
-    return null; // Return null if no format matches
+// "YYYY-MM-DD" for a calendar day; fields may roll over like the Date constructor
+function dayKey(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
 }
 
+// Whether the rule is enforced at all on a calendar day
+function enforcedOn(reg, key, options) {
+    return !(reg.exemptions.holidays && options.isHoliday?.(key));
+}
 
 /**
  * Checks if a regulation is active at a specific date and time.
- * @param {object} props The feature properties.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
  * @param {Date} date The date to check against.
+ * @param {EvalOptions} [options]
  * @returns {boolean} True if the regulation is active.
  */
-export function isActiveAt(props, date) {
-    const activeDays = parseDays(props.days);
-    const timeRange = parseTimeRange(props.hours);
-    const dayOfWeek = date.getDay();
-    const nowMinutes = date.getHours() * 60 + date.getMinutes();
-
-    // No day or time restriction means active
-    if (!activeDays && !timeRange) return true;
-
-    // Only time is restricted (assume active every day)
-    if (!activeDays && timeRange) {
-        if (timeRange.endMin <= timeRange.startMin) { // Overnight
-            return nowMinutes >= timeRange.startMin || nowMinutes < timeRange.endMin;
-        } else { // Same day
-            return nowMinutes >= timeRange.startMin && nowMinutes < timeRange.endMin;
-        }
+export function isActiveAt(reg, date, options = {}) {
+    if (isExempt(reg, options)) return false;
+
+    const now = zonedParts(date, options.timeZone || SF_TIME_ZONE);
+    const dayOfWeek = now.weekday;
+    const yesterday = (dayOfWeek - 1 + 7) % 7;
+    const nowMinutes = now.hour * 60 + now.minute;
+
+    // After midnight, from yesterday's overnight rules
+    const carriedOver = reg.schedule[yesterday].some(({ startMin, endMin }) => endMin <= startMin && nowMinutes < endMin);
+    if (carriedOver && enforcedOn(reg, dayKey(now.year, now.month, now.day - 1), options)) {
+        return true;
     }
 
-    // Only day is restricted
-    if (activeDays && !timeRange) {
-        return activeDays.has(dayOfWeek);
-    }
+    const today = reg.schedule[dayOfWeek].some(({ startMin, endMin }) => (endMin <= startMin
+        ? nowMinutes >= startMin // Before midnight, from today's overnight rule
+        : nowMinutes >= startMin && nowMinutes < endMin));
+    return today && enforcedOn(reg, dayKey(now.year, now.month, now.day), options);
+}
 
-    // Both day and time are restricted
-    if (activeDays && timeRange) {
-        const yesterday = (dayOfWeek - 1 + 7) % 7;
-        if (timeRange.endMin <= timeRange.startMin) { // Overnight rule
-            if (activeDays.has(yesterday) && nowMinutes < timeRange.endMin) return true; // After midnight, from yesterday's rule
-            if (activeDays.has(dayOfWeek) && nowMinutes >= timeRange.startMin) return true; // Before midnight, from today's rule
-            return false;
-        } else { // Same day rule
-            return activeDays.has(dayOfWeek) && nowMinutes >= timeRange.startMin && nowMinutes < timeRange.endMin;
+const MINUTE_MS = 60000;
+const STAY_HORIZON_MS = 7 * 24 * 60 * MINUTE_MS; // how far ahead stays and cleanings are looked up
+const MORNING_HOUR = 8; // a stay lasting to this hour the day after parking is overnight
+
+// Merges overlapping [start, end) windows; input need not be sorted
+function mergeWindows(list) {
+    const sorted = [...list].sort((a, b) => a.start - b.start);
+    const windows = [];
+    for (const w of sorted) {
+        const last = windows[windows.length - 1];
+        if (last && w.start <= last.end) {
+            last.end = Math.max(last.end, w.end);
+        } else {
+            windows.push({ ...w });
         }
     }
+    return windows;
+}
 
-    return false;
+function totalMinutes(windows) {
+    return windows.reduce((sum, w) => sum + (w.end - w.start) / MINUTE_MS, 0);
+}
+
+// Parts of window `w` not covered by the (merged, sorted) windows in `others`
+function subtractWindows(w, others) {
+    const pieces = [];
+    let cursor = w.start;
+    for (const o of others) {
+        if (o.end <= cursor || o.start >= w.end) continue;
+        if (o.start > cursor) pieces.push({ start: cursor, end: o.start });
+        cursor = Math.max(cursor, o.end);
+    }
+    if (cursor < w.end) pieces.push({ start: cursor, end: w.end });
+    return pieces;
 }
 
 /**
- * Checks if a regulation intersects with a given time range.
- * For now, assumes the user range is within the same day.
- * @param {object} props The feature properties.
+ * Walks [start, end) one calendar day at a time, starting from the day before
+ * `start` so overnight windows carried over past midnight are included, and
+ * collects the windows `windowsForDay` returns for each day, clipped and merged.
  * @param {Date} start The start of the range.
  * @param {Date} end The end of the range.
- * @returns {boolean} True if there is any overlap.
+ * @param {EvalOptions} options
+ * @param {(day: {year: number, month: number, date: number, weekday: number, key: string}) =>
+ *   Array<{startMin: number, endMin: number}>} windowsForDay Windows on a calendar day.
+ * @returns {Array<{start: number, end: number}>} Windows as epoch milliseconds.
  */
-export function intersectsRange(props, start, end) {
-    const activeDays = parseDays(props.days);
-    const regTime = parseTimeRange(props.hours);
-    const dayOfWeek = start.getDay(); // Assuming same-day range for now
-
-    // Check if rule is active on the day of the range
-    if (activeDays && !activeDays.has(dayOfWeek)) {
-        // A full implementation would check for overnight rules from the previous day
-        return false;
+function collectWindows(start, end, options, windowsForDay) {
+    const rangeStart = start.getTime();
+    const rangeEnd = end.getTime();
+    const clipped = [];
+    if (!(rangeEnd > rangeStart)) return clipped;
+
+    const timeZone = options.timeZone || SF_TIME_ZONE;
+    const first = zonedParts(start, timeZone);
+    const day = new Date(Date.UTC(first.year, first.month, first.day - 1)); // Calendar cursor
+    for (;;) {
+        const y = day.getUTCFullYear(), m = day.getUTCMonth(), d = day.getUTCDate();
+        if (zonedTimeToUtc(y, m, d, 0, 0, timeZone) >= rangeEnd) break;
+
+        const dayWindows = windowsForDay({ year: y, month: m, date: d, weekday: day.getUTCDay(), key: dayKey(y, m, d) });
+        // Window edges come from wall-clock fields so DST-length days stay correct
+        for (const { startMin, endMin } of dayWindows) {
+            const endDayOffset = endMin <= startMin ? 1 : 0; // Overnight
+            const winStart = zonedTimeToUtc(y, m, d, 0, startMin, timeZone);
+            const winEnd = zonedTimeToUtc(y, m, d + endDayOffset, 0, endMin, timeZone);
+            const clippedStart = Math.max(winStart, rangeStart);
+            const clippedEnd = Math.min(winEnd, rangeEnd);
+            if (clippedStart < clippedEnd) clipped.push({ start: clippedStart, end: clippedEnd });
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
     }
+    return mergeWindows(clipped);
+}
+
+// Windows during which the posted regulation is enforced within [start, end)
+function enforcementWindows(reg, start, end, options) {
+    if (isExempt(reg, options)) return [];
+    return collectWindows(start, end, options, (day) => (
+        enforcedOn(reg, day.key, options) ? reg.schedule[day.weekday] : []
+    ));
+}
+
+// Sweeping rules running on a calendar day (by nth occurrence of the weekday in the month)
+function sweepingOn(reg, day, options) {
+    const week = Math.ceil(day.date / 7);
+    return reg.sweeping.filter(rule => rule.weekday === day.weekday
+        && rule.weeks.has(week)
+        && !(rule.holidays && options.isHoliday?.(day.key)));
+}
+
+// Windows during which street cleaning runs within [start, end)
+function sweepingWindows(reg, start, end, options) {
+    if (!reg.sweeping.length) return [];
+    return collectWindows(start, end, options, (day) => sweepingOn(reg, day, options));
+}
+
+/**
+ * Checks if street cleaning is scheduled on a segment at a specific date and time.
+ * Permits and vehicle type do not exempt anyone from cleaning.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} date The date to check against.
+ * @param {EvalOptions} [options]
+ * @returns {boolean}
+ */
+export function isSweepingAt(reg, date, options = {}) {
+    if (!reg.sweeping.length) return false;
+    return sweepingWindows(reg, date, new Date(date.getTime() + MINUTE_MS), options).length > 0;
+}
+
+/**
+ * Finds the next street cleaning on a segment, looking up to a week ahead.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start Where to start looking.
+ * @param {EvalOptions} [options]
+ * @returns {Date | null} Start of the next cleaning (or `start` if one is running), null if none.
+ */
+export function nextSweeping(reg, start, options = {}) {
+    const [first] = sweepingWindows(reg, start, new Date(start.getTime() + STAY_HORIZON_MS), options);
+    return first ? new Date(first.start) : null;
+}
 
-    // If no time rule, it's active all day, so it intersects
-    if (!regTime) return true;
+/**
+ * Checks if street cleaning is scheduled on a segment at any point in a time range.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start The start of the range.
+ * @param {Date} end The end of the range.
+ * @param {EvalOptions} [options]
+ * @returns {boolean}
+ */
+export function sweepsDuring(reg, start, end, options = {}) {
+    return sweepingWindows(reg, start, end, options).length > 0;
+}
 
-    const userStartMin = start.getHours() * 60 + start.getMinutes();
-    const userEndMin = end.getHours() * 60 + end.getMinutes();
+// Meter rules operating on a calendar day
+function metersOn(rule, day, options) {
+    if (rule.days && !rule.days.has(day.weekday)) return [];
+    if (rule.holidays && options.isHoliday?.(day.key, 'meters')) return [];
+    return [rule];
+}
 
-    if (regTime.endMin <= regTime.startMin) { // Regulation is overnight
-        const ruleRange1 = { start: regTime.startMin, end: 1440 }; // to midnight
-        const ruleRange2 = { start: 0, end: regTime.endMin }; // from midnight
-        const userRange = { start: userStartMin, end: userEndMin };
+// Metered windows within [start, end), each tagged with the rule that prices it
+function meterWindows(reg, start, end, options) {
+    if (!reg.meters?.length) return [];
+    return reg.meters.flatMap(rule => collectWindows(start, end, options, (day) => metersOn(rule, day, options))
+        .map(w => ({ ...w, rule })));
+}
 
-        const overlaps1 = Math.max(ruleRange1.start, userRange.start) < Math.min(ruleRange1.end, userRange.end);
-        const overlaps2 = Math.max(ruleRange2.start, userRange.start) < Math.min(ruleRange2.end, userRange.end);
-        return overlaps1 || overlaps2;
+/**
+ * Collects the windows within [start, end) during which the driver may not be
+ * parked: street cleaning, "Cannot Park" hours, and whatever remains of each
+ * time-limited or metered window once its limit has been used up.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start The start of the range.
+ * @param {Date} end The end of the range.
+ * @param {EvalOptions} options
+ * @returns {Array<{start: number, end: number}>} Merged windows as epoch milliseconds.
+ */
+function blockedWindows(reg, start, end, options) {
+    const sweeping = sweepingWindows(reg, start, end, options);
+    const enforced = enforcementWindows(reg, start, end, options);
+    const blocked = [...sweeping];
+    const limited = [];
+
+    if (reg.category !== 'CannotPark' && reg.limitMinutes) {
+        limited.push(...enforced.map(w => ({ ...w, limit: reg.limitMinutes })));
+    } else if (reg.category !== 'NoRegulation' && reg.category !== 'Metered') {
+        // "Cannot Park", and any regulation without a specific restriction type
+        // identified: you can park during non-regulated hours only
+        blocked.push(...enforced);
+    }
+    // Permits exempt drivers from the posted rules, not from meters
+    for (const w of meterWindows(reg, start, end, options)) {
+        if (w.rule.limitMinutes) limited.push({ ...w, limit: w.rule.limitMinutes });
+    }
 
-    } else { // Regulation is same-day
-        const ruleRange = { start: regTime.startMin, end: regTime.endMin };
-        const userRange = { start: userStartMin, end: userEndMin };
-        return Math.max(ruleRange.start, userRange.start) < Math.min(ruleRange.end, userRange.end);
+    // The limit clock restarts after cleaning interrupts a window
+    for (const w of limited) {
+        for (const piece of subtractWindows(w, sweeping)) {
+            const limitEnd = piece.start + w.limit * MINUTE_MS;
+            if (limitEnd < piece.end) blocked.push({ start: limitEnd, end: piece.end });
+        }
     }
+    return mergeWindows(blocked);
+}
+
+/**
+ * Checks if a segment's meters are operating at a specific date and time.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} date The date to check against.
+ * @param {EvalOptions} [options]
+ * @returns {boolean}
+ */
+export function isMeteredAt(reg, date, options = {}) {
+    if (!reg.meters?.length) return false;
+    return meterWindows(reg, date, new Date(date.getTime() + MINUTE_MS), options).length > 0;
+}
+
+/**
+ * Checks if a regulation intersects with a given time range.
+ * The range may span midnight or several days.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start The start of the range.
+ * @param {Date} end The end of the range.
+ * @param {EvalOptions} [options]
+ * @returns {boolean} True if there is any overlap.
+ */
+export function intersectsRange(reg, start, end, options = {}) {
+    reg = applyVehicleProfile(reg, options.vehicle);
+    return enforcementWindows(reg, start, end, options).length > 0
+        || sweepingWindows(reg, start, end, options).length > 0
+        || meterWindows(reg, start, end, options).length > 0;
 }
 
 /**
  * Calculates what percentage of the user's time range allows parking.
- * Takes into account time limits (e.g., 2hr limit means you can park for up to 2 hours).
+ * Takes into account time limits (e.g., 2hr limit means you can park for up to 2 hours
+ * in each enforcement window), meter limits, and street cleaning, which always blocks parking.
+ * The range may span midnight or several days.
  * Returns 1.0 if you can park for the entire requested duration.
  * Returns partial value if you can only park for part of the time.
  * Returns 0 if you cannot park at all.
- * @param {object} props The feature properties.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
  * @param {Date} start The start of the user's range.
  * @param {Date} end The end of the user's range.
+ * @param {EvalOptions} [options]
  * @returns {number} Parking availability ratio from 0 to 1.
  */
-export function calculateCoverage(props, start, end) {
-    const activeDays = parseDays(props.days);
-    const regTime = parseTimeRange(props.hours);
-    const dayOfWeek = start.getDay();
-    const regulation = (props.regulation || '').toLowerCase();
-
-    const userStartMin = start.getHours() * 60 + start.getMinutes();
-    const userEndMin = end.getHours() * 60 + end.getMinutes();
-    const userDurationMin = userEndMin - userStartMin;
-
-    if (userDurationMin <= 0) return 0;
-
-    // Check if regulation applies today
-    const regulationAppliesToday = !activeDays || activeDays.has(dayOfWeek);
-
-    // If regulation doesn't apply today, entire range is free
-    if (!regulationAppliesToday) {
-        return 1.0;
-    }
-
-    // Determine if this is a "no parking" regulation
-    const isNoParking = /no\s*parking|tow-?away/.test(regulation);
-
-    // Calculate overlap between user's range and regulation time
-    let overlapMinutes = 0;
-
-    if (!regTime) {
-        // No time restriction means regulation applies 24/7
-        overlapMinutes = userDurationMin;
-    } else if (regTime.startMin === 0 && regTime.endMin === 1440) {
-        // ANYTIME or 24HR
-        overlapMinutes = userDurationMin;
-    } else if (regTime.endMin <= regTime.startMin) {
-        // Regulation is overnight
-        const ruleRange1 = { start: regTime.startMin, end: 1440 };
-        const ruleRange2 = { start: 0, end: regTime.endMin };
-        const userRange = { start: userStartMin, end: userEndMin };
-
-        const overlap1Start = Math.max(ruleRange1.start, userRange.start);
-        const overlap1End = Math.min(ruleRange1.end, userRange.end);
-        if (overlap1Start < overlap1End) {
-            overlapMinutes += overlap1End - overlap1Start;
-        }
-
-        const overlap2Start = Math.max(ruleRange2.start, userRange.start);
-        const overlap2End = Math.min(ruleRange2.end, userRange.end);
-        if (overlap2Start < overlap2End) {
-            overlapMinutes += overlap2End - overlap2Start;
-        }
-    } else {
-        // Regulation is same-day
-        const overlapStart = Math.max(regTime.startMin, userStartMin);
-        const overlapEnd = Math.min(regTime.endMin, userEndMin);
-        if (overlapStart < overlapEnd) {
-            overlapMinutes = overlapEnd - overlapStart;
-        }
-    }
+export function calculateCoverage(reg, start, end, options = {}) {
+    return coverageOf(applyVehicleProfile(reg, options.vehicle), start, end, options);
+}
 
-    // If no overlap with regulation hours, you can park freely
-    if (overlapMinutes === 0) {
-        return 1.0;
-    }
+// calculateCoverage for a regulation already resolved for the driver's vehicle
+function coverageOf(reg, start, end, options) {
+    const userDurationMin = (end.getTime() - start.getTime()) / MINUTE_MS;
+    if (!(userDurationMin > 0)) return 0;
 
-    // If "No Parking" regulation overlaps, you cannot park during that time
-    if (isNoParking) {
-        const freeMinutes = userDurationMin - overlapMinutes;
-        return freeMinutes / userDurationMin;
-    }
+    const freeMinutes = userDurationMin - totalMinutes(blockedWindows(reg, start, end, options));
+    return Math.max(0, Math.min(1.0, freeMinutes / userDurationMin));
+}
 
-    // Check for time limit (e.g., "2" means 2 hour limit)
-    const timeLimit = props.hrlimit || props.hours;
-    let timeLimitMinutes = null;
+/**
+ * Calculates how long a driver parking at `start` may stay: until the next window
+ * in which parking is not allowed (street cleaning, "Cannot Park" hours) or until a
+ * time or meter limit runs out, whichever comes first. The limit clock starts at
+ * `start` if enforcement is already running, otherwise when it next begins.
+ * Looks up to a week ahead.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start When the driver parks.
+ * @param {EvalOptions} [options]
+ * @returns {number | null} Minutes (0 when parking is not allowed at `start`), or null
+ *   when nothing ends the stay within a week.
+ */
+export function maxStayMinutes(reg, start, options = {}) {
+    reg = applyVehicleProfile(reg, options.vehicle);
+    const [first] = blockedWindows(reg, start, new Date(start.getTime() + STAY_HORIZON_MS), options);
+    return first ? Math.round((first.start - start.getTime()) / MINUTE_MS) : null;
+}
 
-    if (timeLimit && typeof timeLimit === 'string') {
-        const limitMatch = timeLimit.match(/(\d+)/);
-        if (limitMatch) {
-            timeLimitMinutes = parseInt(limitMatch[1], 10) * 60;
-        }
-    } else if (typeof timeLimit === 'number') {
-        timeLimitMinutes = timeLimit * 60;
-    }
+/**
+ * Checks whether a stay lasts overnight: to the morning after the day the driver
+ * parks (8 AM there), in the zone the posted hours are in.
+ * @param {Date} start When the driver parks.
+ * @param {number} minutes Length of the stay, as from maxStayMinutes.
+ * @param {EvalOptions} [options]
+ * @returns {boolean}
+ */
+export function staysOvernight(start, minutes, options = {}) {
+    const timeZone = options.timeZone || SF_TIME_ZONE;
+    const p = zonedParts(start, timeZone);
+    const nextMorning = zonedTimeToUtc(p.year, p.month, p.day + 1, MORNING_HOUR, 0, timeZone);
+    return start.getTime() + minutes * MINUTE_MS >= nextMorning;
+}
 
-    // If there's a time limit and user duration exceeds it during regulated hours
-    if (timeLimitMinutes && overlapMinutes > 0) {
-        // You can park for up to timeLimitMinutes within the regulated period
-        const allowedMinutes = Math.min(timeLimitMinutes, overlapMinutes);
-        const freeMinutes = (userDurationMin - overlapMinutes) + allowedMinutes;
-        return Math.min(1.0, freeMinutes / userDurationMin);
+/**
+ * Summarizes a time range for a segment: how much of it allows parking and
+ * what the meters would charge for the parkable part.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {Date} start The start of the user's range.
+ * @param {Date} end The end of the user's range.
+ * @param {EvalOptions} [options]
+ * @returns {{coverage: number, status: 'free' | 'partial' | 'metered' | 'not-allowed', cost: number | null}}
+ *   `cost` is the meter charge in dollars, null when unmetered or the rate is unknown.
+ */
+export function evaluateRange(reg, start, end, options = {}) {
+    reg = applyVehicleProfile(reg, options.vehicle);
+    const coverage = coverageOf(reg, start, end, options);
+    if (coverage === 0) return { coverage, status: 'not-allowed', cost: null };
+
+    const meters = meterWindows(reg, start, end, options);
+    if (meters.length === 0) return { coverage, status: coverage >= 1.0 ? 'free' : 'partial', cost: null };
+
+    const blocked = blockedWindows(reg, start, end, options);
+    let cost = 0;
+    let rateKnown = true;
+    for (const w of meters) {
+        const paidMinutes = totalMinutes(subtractWindows(w, blocked));
+        if (w.rule.ratePerHour === null) rateKnown = rateKnown && paidMinutes === 0;
+        else cost += paidMinutes / 60 * w.rule.ratePerHour;
     }
-
-    // Default: if there's a regulation but no specific restriction type identified,
-    // assume you can park during non-regulated hours only
-    const freeMinutes = userDurationMin - overlapMinutes;
-    return freeMinutes / userDurationMin;
+    return { coverage, status: 'metered', cost: rateKnown ? Math.round(cost * 100) / 100 : null };
 }
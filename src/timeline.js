@@ -0,0 +1,52 @@
+import { zonedParts, zonedTimeToUtc } from './timezone.js';
+
+// Time windows for the timeline scrubber.
+
+const STEP_MS = {
+    day: 15 * 60000,
+    week: 60 * 60000,
+};
+const SPAN_MS = {
+    day: 24 * 3600000,
+    week: 7 * 24 * 3600000,
+};
+
+/**
+ * @typedef {object} TimelineWindow
+ * @property {number} start First instant, ms.
+ * @property {number} end Instant just after the window, ms.
+ * @property {number} stepMs Distance between samples.
+ * @property {number[]} times Sample instants from `start`, one per step.
+ */
+
+/**
+ * The 24 hours or 7 days around an instant, starting on a step boundary of the
+ * time zone's wall clock.
+ * @param {Date} date
+ * @param {"day" | "week"} span
+ * @param {string} timeZone
+ * @returns {TimelineWindow | null} null for an invalid date.
+ */
+export function timelineWindow(date, span, timeZone) {
+    if (isNaN(date)) return null;
+    const stepMs = STEP_MS[span];
+    const stepMin = stepMs / 60000;
+    const p = zonedParts(new Date(date.getTime() - SPAN_MS[span] / 2), timeZone);
+    const start = zonedTimeToUtc(p.year, p.month, p.day, 0, Math.floor((p.hour * 60 + p.minute) / stepMin) * stepMin, timeZone);
+    const end = start + SPAN_MS[span];
+    const times = [];
+    for (let t = start; t < end; t += stepMs) times.push(t);
+    return { start, end, stepMs, times };
+}
+
+/**
+ * Whether an instant falls inside a window. The timeline only re-centers when the
+ * selected time leaves it, so scrubbing and playback inside it are stable.
+ * @param {TimelineWindow | null} win
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function windowContains(win, date) {
+    const ms = date.getTime();
+    return Boolean(win) && ms >= win.start && ms < win.end;
+}
@@ -0,0 +1,149 @@
+// Parking signs are posted in San Francisco local time, so rules are always
+// evaluated there; the user may still enter and read times in another zone.
+export const SF_TIME_ZONE = "America/Los_Angeles";
+
+const formatters = new Map();
+
+function partsFormatter(timeZone) {
+    let fmt = formatters.get(timeZone);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric", month: "numeric", day: "numeric",
+            hour: "numeric", minute: "numeric", weekday: "short",
+        });
+        formatters.set(timeZone, fmt);
+    }
+    return fmt;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Single-entry cache: evaluation asks for the same instant once per feature
+let lastParts = { key: null, value: null };
+
+/**
+ * Breaks an instant into wall-clock fields in a time zone.
+ * @param {Date | number} date The instant.
+ * @param {string} [timeZone] IANA zone name, defaults to San Francisco.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *   `month` is 0-based like Date#getMonth; `weekday` is 0=Sun.
+ */
+export function zonedParts(date, timeZone = SF_TIME_ZONE) {
+    const ms = typeof date === "number" ? date : date.getTime();
+    const key = `${timeZone}|${ms}`;
+    if (lastParts.key === key) return lastParts.value;
+
+    const parts = {};
+    for (const { type, value } of partsFormatter(timeZone).formatToParts(ms)) {
+        parts[type] = value;
+    }
+    const value = {
+        year: Number(parts.year),
+        month: Number(parts.month) - 1,
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+    lastParts = { key, value };
+    return value;
+}
+
+// Offset of `timeZone` from UTC at instant `ms`, in milliseconds
+function zoneOffset(ms, timeZone) {
+    const p = zonedParts(ms, timeZone);
+    const wall = Date.UTC(p.year, p.month, p.day, p.hour, p.minute);
+    return wall - Math.floor(ms / 60000) * 60000;
+}
+
+const utcCache = new Map();
+
+/**
+ * Converts a wall-clock time in a time zone to an instant. Out-of-range fields
+ * roll over like the Date constructor (day 32, minute 1500, ...). Handles DST:
+ * times skipped by spring-forward land just after the gap.
+ * @param {number} year
+ * @param {number} month 0-based month.
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} [timeZone] IANA zone name, defaults to San Francisco.
+ * @returns {number} Epoch milliseconds.
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, timeZone = SF_TIME_ZONE) {
+    const guess = Date.UTC(year, month, day, hour, minute);
+    const key = `${timeZone}|${guess}`;
+    let ms = utcCache.get(key);
+    if (ms === undefined) {
+        const firstOffset = zoneOffset(guess, timeZone);
+        ms = guess - firstOffset;
+        const secondOffset = zoneOffset(ms, timeZone);
+        if (secondOffset !== firstOffset) ms = guess - secondOffset;
+        if (utcCache.size > 20000) utcCache.clear();
+        utcCache.set(key, ms);
+    }
+    return ms;
+}
+
+/**
+ * Formats an instant as a `datetime-local` input value in a time zone.
+ * @param {Date} date The instant.
+ * @param {string} [timeZone]
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+export function toZonedInputValue(date, timeZone = SF_TIME_ZONE) {
+    const p = zonedParts(date, timeZone);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Parses a `datetime-local` input value as wall-clock time in a time zone.
+ * @param {string} value "YYYY-MM-DDTHH:mm"
+ * @param {string} [timeZone]
+ * @returns {Date} The instant, or an invalid Date if the value is malformed.
+ */
+export function fromZonedInputValue(value, timeZone = SF_TIME_ZONE) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || "");
+    if (!match) return new Date(NaN);
+    const [, y, mo, d, h, mi] = match.map(Number);
+    return new Date(zonedTimeToUtc(y, mo - 1, d, h, mi, timeZone));
+}
+
+/**
+ * Formats an instant for display with its zone abbreviation, e.g. "Sat, Oct 24, 3:00 AM PDT".
+ * @param {Date} date The instant.
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function formatInZone(date, timeZone = SF_TIME_ZONE) {
+    if (isNaN(date)) return "";
+    return date.toLocaleString("en-US", {
+        timeZone,
+        weekday: "short", month: "short", day: "numeric",
+        hour: "numeric", minute: "2-digit", timeZoneName: "short",
+    });
+}
+
+/**
+ * Returns the short zone abbreviation in effect at an instant, e.g. "PST" or "PDT".
+ * @param {Date} date The instant.
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function zoneAbbreviation(date, timeZone = SF_TIME_ZONE) {
+    const part = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+        .formatToParts(isNaN(date) ? new Date() : date)
+        .find(p => p.type === "timeZoneName");
+    return part ? part.value : timeZone;
+}
+
+/**
+ * The browser's own IANA time zone.
+ * @returns {string}
+ */
+export function browserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
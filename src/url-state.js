@@ -0,0 +1,96 @@
+import { SF_TIME_ZONE } from './timezone.js';
+
+// Map state in the query string, so links open the same view. Only what describes
+// the view is shared; personal settings (permits, vehicle, holidays, data source)
+// stay with each user.
+
+const MODES = ['now', 'at', 'range', 'stay'];
+const INPUT_VALUE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const KEYS = ['ll', 'z', 'mode', 'at', 'from', 'to', 'tz', 'dim', 'seg'];
+
+/**
+ * @typedef {object} UrlState
+ * @property {[number, number]} [center] [lat, lng]
+ * @property {number} [zoom]
+ * @property {object} filters Subset of the map filters: simulationEnabled, simulationMode,
+ *   atTime, rangeStart, rangeEnd, timeZone, showInactiveDim.
+ * @property {string} [selectedId] Feature id of the open detail panel.
+ */
+
+/**
+ * Reads the map state from a query string. Missing or malformed values are left out.
+ * @param {string} search `location.search`
+ * @returns {UrlState}
+ */
+export function decodeUrlState(search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+    const filters = {};
+
+    const [lat, lng] = (params.get('ll') || '').split(',').map(Number);
+    if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+        state.center = [lat, lng];
+    }
+    const zoom = Number(params.get('z'));
+    if (params.has('z') && Number.isInteger(zoom) && zoom >= 0 && zoom <= 22) state.zoom = zoom;
+
+    const mode = params.get('mode');
+    if (MODES.includes(mode)) {
+        filters.simulationEnabled = mode !== 'now';
+        if (mode !== 'now') filters.simulationMode = mode;
+    }
+    for (const [key, field] of [['at', 'atTime'], ['from', 'rangeStart'], ['to', 'rangeEnd']]) {
+        if (INPUT_VALUE.test(params.get(key) || '')) filters[field] = params.get(key);
+    }
+    // Times without a zone are San Francisco times
+    const timeZone = params.get('tz');
+    if (timeZone && isValidTimeZone(timeZone)) filters.timeZone = timeZone;
+    else if (filters.simulationEnabled) filters.timeZone = SF_TIME_ZONE;
+    filters.showInactiveDim = params.get('dim') !== '0';
+    state.filters = filters;
+
+    if (params.get('seg')) state.selectedId = params.get('seg');
+    return state;
+}
+
+/**
+ * Writes the map state into a query string, keeping any unrelated parameters.
+ * Times are only included for the modes that use them.
+ * @param {string} search The current `location.search`.
+ * @param {{center?: [number, number], zoom?: number, filters: object, selectedId: string | null}} state
+ *   The viewport is left out when `center` is.
+ * @returns {string} The new query string, with its leading "?" (or "" when empty).
+ */
+export function encodeUrlState(search, { center, zoom, filters, selectedId }) {
+    const params = new URLSearchParams(search);
+    KEYS.forEach(key => params.delete(key));
+
+    // ~1 m of precision is plenty for a shared view
+    if (center) {
+        params.set('ll', `${center[0].toFixed(5)},${center[1].toFixed(5)}`);
+        params.set('z', String(zoom));
+    }
+    const mode = filters.simulationEnabled ? filters.simulationMode : 'now';
+    params.set('mode', mode);
+    if (mode === 'at' || mode === 'stay') params.set('at', filters.atTime);
+    if (mode === 'range') {
+        params.set('from', filters.rangeStart);
+        params.set('to', filters.rangeEnd);
+    }
+    if (mode !== 'now' && filters.timeZone !== SF_TIME_ZONE) params.set('tz', filters.timeZone);
+    if (!filters.showInactiveDim) params.set('dim', '0');
+    if (selectedId) params.set('seg', selectedId);
+
+    // Keep times and coordinates readable; these characters are allowed in a query
+    const query = params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',').replace(/%2F/g, '/');
+    return query ? `?${query}` : '';
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Vehicle profiles and how each one reads the posted rules. A regulation's
+ * `target` (see compileRegulation) says which kind of vehicle a rule is about;
+ * a profile may override the category of rules aimed at it.
+ *
+ * The compiled category is the view of an ordinary car, so "car" has no overrides.
+ */
+export const VEHICLE_PROFILES = [
+    { id: "car", label: "Car" },
+    {
+        id: "commercial",
+        label: "Commercial / delivery",
+        // Commercial plates may use loading zones, typically for 30 minutes
+        targets: { loading: { category: "TimeLimit", limitMinutes: 30 } },
+    },
+    {
+        id: "motorcycle",
+        label: "Motorcycle",
+        targets: { motorcycle: { category: "NoRegulation" } },
+    },
+    {
+        id: "disabled",
+        label: "Disabled placard",
+        // California placards: no time limits and free at meters, but no-parking still applies
+        noTimeLimits: true,
+        freeMeters: true,
+    },
+    {
+        id: "oversized",
+        label: "Oversized vehicle",
+        targets: { oversized: { category: "CannotPark" } },
+    },
+];
+
+export const DEFAULT_VEHICLE = "car";
+
+const cache = new WeakMap();
+
+/**
+ * Returns the regulation as it applies to a vehicle profile. Results are cached
+ * per regulation object, so repeated evaluation is cheap.
+ * @param {import('./regulation').Regulation} reg The compiled regulation.
+ * @param {string} [vehicle] A profile id from VEHICLE_PROFILES.
+ * @returns {import('./regulation').Regulation}
+ */
+export function applyVehicleProfile(reg, vehicle) {
+    const profile = VEHICLE_PROFILES.find(p => p.id === vehicle);
+    if (!profile || profile.id === DEFAULT_VEHICLE) return reg;
+
+    let byVehicle = cache.get(reg);
+    if (!byVehicle) {
+        byVehicle = new Map();
+        cache.set(reg, byVehicle);
+    }
+    if (byVehicle.has(vehicle)) return byVehicle.get(vehicle);
+
+    let { category, limitMinutes, meters } = reg;
+    const override = profile.targets?.[reg.target];
+    if (override) {
+        category = override.category;
+        if (override.limitMinutes) limitMinutes = limitMinutes ?? override.limitMinutes;
+    }
+    if (profile.noTimeLimits && category !== "CannotPark") {
+        if (category === "TimeLimit") category = "NoRegulation";
+        limitMinutes = null;
+    }
+    if (profile.freeMeters) {
+        meters = meters.map(rule => ({ ...rule, ratePerHour: 0, limitMinutes: null }));
+    }
+
+    const resolved = { ...reg, category, limitMinutes, meters };
+    byVehicle.set(vehicle, resolved);
+    return resolved;
+}